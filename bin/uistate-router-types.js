@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// @uistate/router: generate a .d.ts for a routes module
+//
+//   uistate-router-types src/routes.js --out src/routes.d.ts
+//
+// The module is imported, so it must load in Node: keep DOM access inside
+// components (or behind lazy imports), not at the top level.
+
+import { writeFileSync } from 'node:fs';
+import { relative, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { generateTypes } from '../typegen.js';
+
+const USAGE = `Usage: uistate-router-types <routes-module> [options]
+
+Options:
+  --export <name>     Export holding the routes array (default: routes, then default)
+  --namespace <path>  Store namespace passed to createRouter (default: ui.route)
+  --out <file>        Write to a file instead of stdout`;
+
+function parseArgs(argv) {
+  const opts = { module: null, export: null, namespace: undefined, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') return null;
+    if (arg === '--export' || arg === '--namespace' || arg === '--out') {
+      if (!argv[i + 1]) throw new Error(`[router] ${arg} needs a value`);
+      opts[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error('[router] Unknown option: ' + arg);
+    } else if (!opts.module) {
+      opts.module = arg;
+    } else {
+      throw new Error('[router] Unexpected argument: ' + arg);
+    }
+  }
+  return opts.module ? opts : null;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts) {
+    console.log(USAGE);
+    return;
+  }
+  const file = resolve(opts.module);
+  const mod = await import(pathToFileURL(file).href);
+  const routes = opts.export ? mod[opts.export] : (mod.routes ?? mod.default);
+  if (!Array.isArray(routes)) {
+    throw new Error(`[router] ${opts.module} does not export a routes array${opts.export ? ' as ' + opts.export : ''}`);
+  }
+  const source = relative(process.cwd(), file).split('\\').join('/');
+  const dts = generateTypes(routes, { namespace: opts.namespace, source });
+  if (opts.out) writeFileSync(opts.out, dts);
+  else process.stdout.write(dts);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+// @uistate/router: in-page devtools overlay
+// A view component that shows the route table, the current match and the
+// navigation timeline from ui.route.log (or the router's own namespace).
+// Boot it anywhere, e.g. into document.body.
+
+const PANEL_STYLE = [
+  'position:fixed', 'right:8px', 'bottom:8px', 'z-index:2147483647', 'max-width:min(560px,calc(100vw - 16px))',
+  'max-height:60vh', 'overflow:auto', 'font:12px/1.4 ui-monospace,monospace', 'color:#e6e6e6',
+  'background:rgba(24,24,27,.95)', 'border-radius:6px', 'box-shadow:0 4px 16px rgba(0,0,0,.3)',
+].join(';');
+
+function ms(value) {
+  return (Math.round(value * 10) / 10) + 'ms';
+}
+
+// One timeline row: "#3 click /users → /users/42 completed 12.4ms (guard 0.1ms, load 9.8ms, ...)"
+function describe(entry) {
+  const phases = Object.entries(entry.timings || {}).map(([phase, value]) => phase + ' ' + ms(value));
+  let text = `#${entry.id} ${entry.trigger} ${entry.from ?? '∅'} → ${entry.to} ${entry.status} ${ms(entry.duration)}`;
+  if (phases.length) text += ` (${phases.join(', ')})`;
+  if (entry.guard) text += ` guard: ${entry.guard}`;
+  if (entry.redirectedFrom) text += ` from ${entry.redirectedFrom}`;
+  if (entry.supersededBy) text += ` superseded by #${entry.supersededBy}`;
+  if (entry.error) text += ` ${entry.error.name}: ${entry.error.message}`;
+  return text;
+}
+
+/**
+ * Create the devtools overlay for a router.
+ *
+ *   createDevtools(router).boot({ store, el: document.body });
+ *
+ * The overlay is a collapsed button until clicked. It re-renders after every
+ * navigation (each one appends to ui.route.log), so it needs the router's
+ * log enabled (logMax > 0).
+ *
+ * @param {Object} router - A router from createRouter
+ * @param {Object} [opts]
+ * @param {boolean} [opts.open=false] - Start expanded
+ * @param {number}  [opts.max=20]     - Timeline rows shown, newest first
+ * @returns {{ boot: Function }} View component; boot returns its unboot
+ */
+export function createDevtools(router, { open = false, max = 20 } = {}) {
+  return {
+    boot({ store, el }) {
+      if (!store) throw new Error('[router] devtools requires a store');
+      const routeKey = name => router.getNamespace() + '.' + name;
+      const doc = el.ownerDocument;
+      const make = (tag, text) => {
+        const node = doc.createElement(tag);
+        if (text !== undefined) node.textContent = text;
+        return node;
+      };
+
+      const panel = make('aside');
+      panel.setAttribute('data-router-devtools', '');
+      panel.setAttribute('style', PANEL_STYLE);
+      const toggle = make('button', 'router');
+      toggle.setAttribute('type', 'button');
+      toggle.setAttribute('style', 'all:unset;cursor:pointer;display:block;padding:4px 8px;font-weight:bold');
+      const body = make('div');
+      body.setAttribute('style', 'padding:0 8px 8px');
+      panel.append(toggle, body);
+      el.appendChild(panel);
+
+      function render() {
+        toggle.setAttribute('aria-expanded', String(open));
+        body.hidden = !open;
+        if (!open) return;
+
+        const current = make('section');
+        current.append(
+          make('h4', 'Current'),
+          make('div', `view: ${store.get(routeKey('view')) ?? '∅'}  path: ${store.get(routeKey('path')) ?? '∅'}`),
+          make('div', 'params: ' + JSON.stringify(store.get(routeKey('params')) || {})),
+          make('div', 'query: ' + JSON.stringify(store.get(routeKey('query')) || {})),
+        );
+
+        const matched = new Set((store.get(routeKey('matches')) || []).map(m => m.path));
+        const table = make('table');
+        const head = make('tr');
+        for (const label of ['', 'path', 'name', 'view']) head.appendChild(make('th', label));
+        table.appendChild(head);
+        for (const route of router.getRoutes()) {
+          const row = make('tr');
+          const isMatch = matched.has(route.path);
+          if (isMatch) row.setAttribute('style', 'color:#7dd3fc');
+          let path = route.path;
+          if (route.aliasOf) path += ` (alias of ${route.aliasOf})`;
+          if (route.redirect) path += ' (redirect)';
+          for (const cell of [isMatch ? '▸' : '', path, route.name ?? '', route.view ?? '']) row.appendChild(make('td', cell));
+          table.appendChild(row);
+        }
+        const routes = make('section');
+        routes.append(make('h4', 'Routes'), table);
+
+        const list = make('ol');
+        list.setAttribute('reversed', '');
+        for (const entry of (store.get(routeKey('log')) || []).slice(-max).reverse()) {
+          const item = make('li', describe(entry));
+          if (entry.status === 'failed') item.setAttribute('style', 'color:#fca5a5');
+          list.appendChild(item);
+        }
+        const timeline = make('section');
+        timeline.append(make('h4', 'Timeline'), list);
+
+        body.replaceChildren(current, routes, timeline);
+      }
+
+      const onToggle = () => { open = !open; render(); };
+      toggle.addEventListener('click', onToggle);
+      const unsubscribe = store.subscribe(routeKey('log'), render);
+      render();
+
+      return () => {
+        unsubscribe();
+        toggle.removeEventListener('click', onToggle);
+        panel.remove();
+      };
+    },
+  };
+}
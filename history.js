@@ -0,0 +1,229 @@
+// @uistate/router: history backends
+// The router reads and writes URLs through an adapter, so the same navigate()
+// flow can drive the browser URL, a hash fragment, or an in-memory stack.
+//
+// Every adapter works in app paths (base path and '#' already removed):
+//   location          - { pathname, search, hash, state }
+//   base              - base path prefix, '' when not applicable
+//   push(url, state)  - add an entry ('/users/42?tab=posts')
+//   replace(url, state)
+//   go(n), back(), forward()
+//   listen(fn)        - fn(location) on back/forward; returns unlisten
+//   createHref(url)   - string for an <a href>
+//   parse(href)       - app { pathname, search, hash } for a same-origin href, else null
+//   intercept(fn)     - optional (Navigation API): fn(nav) for every same-origin
+//                       navigation, in place of listen(); returns unlisten
+
+function splitUrl(url) {
+  const u = new URL(url, 'http://router.local');
+  return { pathname: u.pathname, search: u.search, hash: u.hash };
+}
+
+// Detect base path from <base href> if present
+function detectBase() {
+  const b = typeof document !== 'undefined' && document.querySelector('base[href]');
+  if (!b) return '';
+  try {
+    const u = new URL(b.getAttribute('href'), location.href);
+    let p = u.pathname;
+    if (p.length > 1 && p.endsWith('/')) p = p.slice(0, -1);
+    return p === '/' ? '' : p;
+  } catch { return ''; }
+}
+
+// The Navigation API, where the navigate event also names the element that
+// started it (so links and forms without data-link can be left alone)
+function supportsNavigation() {
+  return typeof navigation !== 'undefined' && typeof NavigateEvent === 'function' &&
+    'sourceElement' in NavigateEvent.prototype;
+}
+
+/**
+ * History backed by the real URL via pushState/popstate.
+ *
+ * Where the Navigation API is supported, the adapter also has intercept(fn):
+ * fn receives every same-origin navigation the page starts (links, forms,
+ * location.assign(), back/forward) as
+ *   { type: 'push' | 'replace' | 'traverse', pathname, search, hash,
+ *     direction?, source, formData, signal, cancel(), intercept(handler) }
+ * and either cancels it, intercepts it (the browser shows it loading until
+ * handler's promise settles; `signal` aborts if the user stops it), or lets
+ * it proceed natively. Reloads, downloads, fragment changes and the
+ * adapter's own push/replace are not passed on.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.base] - Base path; detected from <base href> when omitted
+ * @param {boolean} [opts.navigation=true] - Use the Navigation API when supported
+ */
+export function createBrowserHistory({ base = detectBase(), navigation: useNavigation = true } = {}) {
+  history.scrollRestoration = 'manual';
+  // Set while push/replace run: their navigate events (and the abort of
+  // an intercepted navigation they cause) belong to the router itself
+  let writing = false;
+
+  function write(method, state, url) {
+    writing = true;
+    try { history[method](state, '', createHref(url)); } finally { writing = false; }
+  }
+
+  function stripBase(pathname) {
+    if (base && pathname.startsWith(base)) {
+      const rest = pathname.slice(base.length) || '/';
+      return rest.startsWith('/') ? rest : ('/' + rest);
+    }
+    return pathname;
+  }
+
+  function createHref(url) {
+    if (!base) return url;
+    if (url === '/' || url.startsWith('/?') || url.startsWith('/#')) return base + url.slice(1) || '/';
+    return base + (url.startsWith('/') ? '' : '/') + url;
+  }
+
+  function parse(href) {
+    const url = new URL(href, location.href);
+    if (url.origin !== location.origin) return null;
+    return { pathname: stripBase(url.pathname), search: url.search, hash: url.hash };
+  }
+
+  const adapter = {
+    base,
+    get location() {
+      return {
+        pathname: stripBase(location.pathname),
+        search: location.search,
+        hash: location.hash,
+        state: history.state,
+      };
+    },
+    push(url, state = {}) { write('pushState', state, url); },
+    replace(url, state = {}) { write('replaceState', state, url); },
+    go(n) { history.go(n); },
+    back() { history.back(); },
+    forward() { history.forward(); },
+    listen(fn) {
+      const onPop = () => fn(this.location);
+      window.addEventListener('popstate', onPop);
+      return () => window.removeEventListener('popstate', onPop);
+    },
+    createHref,
+    parse,
+  };
+
+  if (useNavigation && supportsNavigation()) {
+    adapter.intercept = (fn) => {
+      const onNavigate = (event) => {
+        if (writing || !event.canIntercept || event.hashChange || event.downloadRequest !== null) return;
+        if (event.navigationType === 'reload') return;
+        const url = parse(event.destination.url);
+        if (!url) return;
+        const controller = new AbortController();
+        event.signal.addEventListener('abort', () => { if (!writing) controller.abort(); }, { once: true });
+        const nav = {
+          type: event.navigationType,
+          ...url,
+          source: event.sourceElement || null,
+          formData: event.formData || null,
+          signal: controller.signal,
+          cancel() { if (event.cancelable) event.preventDefault(); },
+          intercept(handler) { event.intercept({ handler, scroll: 'manual', focusReset: 'manual' }); },
+        };
+        if (event.navigationType === 'traverse') {
+          const from = navigation.currentEntry?.index ?? -1;
+          nav.direction = event.destination.index > from ? 'forward' : 'back';
+        }
+        fn(nav);
+      };
+      navigation.addEventListener('navigate', onNavigate);
+      return () => navigation.removeEventListener('navigate', onNavigate);
+    };
+  }
+  return adapter;
+}
+
+/**
+ * History kept in the URL fragment (/#/users/42), for static hosting
+ * without rewrite rules.
+ */
+export function createHashHistory() {
+  history.scrollRestoration = 'manual';
+
+  function fromHash(hash) {
+    const { pathname, search, hash: inner } = splitUrl(hash.replace(/^#/, '') || '/');
+    return { pathname, search, hash: inner };
+  }
+
+  function createHref(url) {
+    return location.pathname + location.search + '#' + url;
+  }
+
+  return {
+    base: '',
+    get location() {
+      return { ...fromHash(location.hash), state: history.state };
+    },
+    push(url, state = {}) { history.pushState(state, '', createHref(url)); },
+    replace(url, state = {}) { history.replaceState(state, '', createHref(url)); },
+    go(n) { history.go(n); },
+    back() { history.back(); },
+    forward() { history.forward(); },
+    listen(fn) {
+      const onPop = () => fn(this.location);
+      window.addEventListener('popstate', onPop);
+      return () => window.removeEventListener('popstate', onPop);
+    },
+    createHref,
+    parse(href) {
+      const url = new URL(href, location.href);
+      if (url.origin !== location.origin) return null;
+      if (url.hash.startsWith('#/')) return fromHash(url.hash);
+      return { pathname: url.pathname, search: url.search, hash: url.hash };
+    },
+  };
+}
+
+/**
+ * History kept in memory, for tests, Node and embedded widgets that must
+ * not touch the page URL.
+ * @param {Object} [opts]
+ * @param {string[]} [opts.initialEntries=['/']]
+ * @param {number} [opts.initialIndex] - Defaults to the last entry
+ */
+export function createMemoryHistory({ initialEntries = ['/'], initialIndex } = {}) {
+  const entries = initialEntries.map(url => ({ ...splitUrl(url), state: null }));
+  let index = initialIndex ?? entries.length - 1;
+  const listeners = new Set();
+
+  return {
+    base: '',
+    get location() { return { ...entries[index] }; },
+    get entries() { return entries.map(e => ({ ...e })); },
+    get index() { return index; },
+    push(url, state = {}) {
+      entries.splice(index + 1, entries.length, { ...splitUrl(url), state });
+      index = entries.length - 1;
+    },
+    replace(url, state = {}) {
+      entries[index] = { ...splitUrl(url), state };
+    },
+    go(n) {
+      const target = Math.min(Math.max(index + n, 0), entries.length - 1);
+      if (target === index) return;
+      index = target;
+      const loc = this.location;
+      listeners.forEach(fn => fn(loc));
+    },
+    back() { this.go(-1); },
+    forward() { this.go(1); },
+    listen(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    createHref(url) { return url; },
+    parse(href) {
+      const url = new URL(href, 'http://router.local' + entries[index].pathname);
+      if (url.origin !== 'http://router.local') return null;
+      return { pathname: url.pathname, search: url.search, hash: url.hash };
+    },
+  };
+}
@@ -1 +1,4 @@
 export { createRouter } from './router.js';
+export { createBrowserHistory, createHashHistory, createMemoryHistory } from './history.js';
+export { renderRoute, serializeState } from './ssr.js';
+export { createMatcher } from './matcher.js';
@@ -0,0 +1,601 @@
+// @uistate/router: DOM-free matching core
+// Pattern compilation, specificity ranking, route resolution and query
+// parsing, shared by the router and the server renderer.
+
+// Param tokens: :name, :name?, :name(regex), *splat (or bare *)
+const TOKEN_RE = /:([a-zA-Z_][a-zA-Z0-9_]*)(\((?:\\.|\([^()]*\)|[^()\\])*\))?(\?)?|\*([a-zA-Z_][a-zA-Z0-9_]*)?/g;
+
+// Specificity of one segment, higher wins. A segment the pattern does not
+// have ranks between a plain param and an optional one, so '/posts' beats
+// '/posts/:id?' and '/files' beats '/files/*rest'.
+const SCORE_STATIC = 5;
+const SCORE_CONSTRAINED = 4;
+const SCORE_PARAM = 3;
+const SCORE_ABSENT = 2;
+const SCORE_OPTIONAL = 1;
+const SCORE_SPLAT = 0;
+
+// Printable ASCII and a few other letters, to compare character classes;
+// a constraint that is one character class, optionally repeated
+const SAMPLE_CHARS = [...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)), 'é', 'ß', 'Ж', '中'];
+const CHAR_CLASS_RE = /^(\[(?:\\.|[^\]\\])+\]|\\[dDwWsS]|\.)(?:[+*?]|\{\d+(?:,\d*)?\})?$/;
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function scorePattern(pattern) {
+  return pattern.split('/').filter(Boolean).map(segment => {
+    const tokens = [...segment.matchAll(TOKEN_RE)];
+    if (!tokens.length) return SCORE_STATIC;
+    if (tokens.some(t => t[0][0] === '*')) return SCORE_SPLAT;
+    if (tokens.some(t => t[3] === '?')) return SCORE_OPTIONAL;
+    if (tokens.some(t => t[2]) || tokens[0][0] !== segment) return SCORE_CONSTRAINED;
+    return SCORE_PARAM;
+  });
+}
+
+/**
+ * Compile a route pattern like '/users/:id/posts/:postId' into a matcher.
+ * Supports optional params (:id?), inline constraints (:id(\\d+)) and
+ * splats (*rest) that capture the remainder of the path, slashes included.
+ * Returns { regex, paramNames, score }; params are read from named groups p0, p1, ...
+ */
+export function compilePattern(pattern) {
+  const paramNames = [];
+  let regexStr = '';
+  let last = 0;
+  for (const m of pattern.matchAll(TOKEN_RE)) {
+    let literal = pattern.slice(last, m.index);
+    last = m.index + m[0].length;
+    const splat = m[0][0] === '*';
+    const optional = splat || m[3] === '?';
+    // Optional params and splats absorb the slash before them
+    const slash = optional && literal.endsWith('/');
+    if (slash) literal = literal.slice(0, -1);
+    regexStr += escapeRegex(literal);
+    const capture = `(?<p${paramNames.length}>${splat ? '.*' : (m[2] ? m[2].slice(1, -1) : '[^/]+')})`;
+    regexStr += optional ? `(?:${slash ? '/' : ''}${capture})?` : capture;
+    paramNames.push(splat ? (m[4] || '*') : m[1]);
+  }
+  regexStr += escapeRegex(pattern.slice(last));
+  return { regex: new RegExp('^' + regexStr + '$'), paramNames, score: scorePattern(pattern) };
+}
+
+/**
+ * Split a pattern into its params and the literal text before each, for
+ * tooling such as the type generator. The last part has only the trailing literal.
+ *   '/users/:id?' → [{ literal: '/users/', name: 'id', optional: true, splat: false, constraint: null }, { literal: '' }]
+ */
+export function patternParts(pattern) {
+  const parts = [];
+  let last = 0;
+  for (const m of pattern.matchAll(TOKEN_RE)) {
+    const splat = m[0][0] === '*';
+    parts.push({
+      literal: pattern.slice(last, m.index),
+      name: splat ? (m[4] || '*') : m[1],
+      optional: splat || m[3] === '?',
+      splat,
+      constraint: m[2] ? m[2].slice(1, -1) : null,
+    });
+    last = m.index + m[0].length;
+  }
+  parts.push({ literal: pattern.slice(last) });
+  return parts;
+}
+
+/**
+ * Order two compiled patterns by specificity, most specific first.
+ */
+export function compareSpecificity(a, b) {
+  for (let i = 0; i < Math.max(a.score.length, b.score.length); i++) {
+    const diff = (b.score[i] ?? SCORE_ABSENT) - (a.score[i] ?? SCORE_ABSENT);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Join a child route path onto its parent's full path.
+ * Child paths are relative unless they start with '/'.
+ */
+export function joinPaths(parent, child) {
+  if (!child) return parent || '/';
+  if (child[0] === '/') return child;
+  const base = parent && parent !== '/' ? parent.replace(/\/$/, '') : '';
+  return base + '/' + child;
+}
+
+/**
+ * Flatten a nested route table into compiled records.
+ * Children are listed before their parent so the deepest match wins,
+ * and each record keeps a `parent` link to rebuild the matched chain.
+ * Each `alias` path adds a record with `aliasOf` pointing at the original.
+ */
+export function compileRoutes(routes, parent = null) {
+  const out = [];
+  for (const route of routes) {
+    const fullPath = joinPaths(parent ? parent.fullPath : '', route.path);
+    const record = {
+      ...route,
+      view: route.view ?? parent?.view,
+      component: route.component ?? route.components?.default,
+      parse: { ...parent?.parse, ...route.parse },
+      querySchema: { ...parent?.querySchema, ...route.query },
+      fullPath,
+      parent,
+      ...compilePattern(fullPath),
+    };
+    if (Array.isArray(route.children)) out.push(...compileRoutes(route.children, record));
+    out.push(record);
+    for (const alias of route.alias || []) {
+      const aliasPath = joinPaths(parent ? parent.fullPath : '', alias);
+      out.push({ ...record, fullPath: aliasPath, aliasOf: record, ...compilePattern(aliasPath) });
+    }
+  }
+  return out;
+}
+
+/**
+ * Match a path against a compiled record.
+ * Returns decoded params, or null if the path does not match or a
+ * route.parse decoder rejects a value by throwing.
+ */
+export function matchRecord(record, path) {
+  const m = path.match(record.regex);
+  if (!m) return null;
+  const params = {};
+  try {
+    record.paramNames.forEach((name, i) => {
+      const raw = m.groups?.['p' + i];
+      if (raw === undefined) return;
+      const value = decodeURIComponent(raw);
+      const decode = record.parse?.[name];
+      params[name] = typeof decode === 'function' ? decode(value) : value;
+    });
+  } catch { return null; }
+  return params;
+}
+
+/**
+ * Build a path from a named record and params, the reverse of matchRecord.
+ * Throws on missing or unknown params and on values an inline constraint rejects.
+ */
+export function buildPath(record, params = {}) {
+  const known = new Set(record.paramNames);
+  for (const key of Object.keys(params)) {
+    if (!known.has(key)) throw new Error(`[router] Unknown param "${key}" for route "${record.name}"`);
+  }
+  const pattern = record.fullPath;
+  let out = '';
+  let last = 0;
+  for (const m of pattern.matchAll(TOKEN_RE)) {
+    let literal = pattern.slice(last, m.index);
+    last = m.index + m[0].length;
+    const splat = m[0][0] === '*';
+    const key = splat ? (m[4] || '*') : m[1];
+    const value = params[key];
+    if (value === undefined || value === null || value === '') {
+      if (!splat && m[3] !== '?') throw new Error(`[router] Missing param "${key}" for route "${record.name}"`);
+      if (literal.endsWith('/')) literal = literal.slice(0, -1);
+      out += literal;
+      continue;
+    }
+    const str = String(value);
+    if (m[2] && !new RegExp('^(?:' + m[2].slice(1, -1) + ')$').test(str)) {
+      throw new Error(`[router] Param "${key}" = "${str}" does not match ${m[2]} for route "${record.name}"`);
+    }
+    out += literal + (splat ? str.split('/').map(encodeURIComponent).join('/') : encodeURIComponent(str));
+  }
+  out += pattern.slice(last);
+  return out || '/';
+}
+
+/**
+ * Serialize a query object into a search string ('' or '?a=1&b=2').
+ * Arrays become repeated keys; null, undefined and '' are skipped.
+ */
+export function toSearch(query = {}) {
+  const params = new URLSearchParams();
+  for (const [k, v] of Object.entries(query)) {
+    for (const item of Array.isArray(v) ? v : [v]) {
+      if (item !== null && item !== undefined && item !== '') params.append(k, String(item));
+    }
+  }
+  const str = params.toString();
+  return str ? ('?' + str) : '';
+}
+
+// Query schema entries may be a bare type name: { q: 'string' }
+export function toQuerySpec(spec) {
+  return typeof spec === 'string' ? { type: spec } : spec;
+}
+
+function decodeQueryValue(values, { type = 'string', default: fallback, values: allowed }) {
+  if (type === 'array') return values.length ? values : fallback;
+  if (!values.length) return fallback;
+  const raw = values[values.length - 1];
+  switch (type) {
+    case 'number': {
+      const n = Number(raw);
+      return raw !== '' && Number.isFinite(n) ? n : fallback;
+    }
+    case 'boolean':
+      if (raw === '' || raw === 'true' || raw === '1') return true;
+      if (raw === 'false' || raw === '0') return false;
+      return fallback;
+    case 'enum':
+      return allowed && allowed.includes(raw) ? raw : fallback;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Parse a search string into a query object.
+ * Repeated keys become arrays. Keys in the route's query schema are typed
+ * (string, number, boolean, array, enum) and fall back to their default.
+ */
+export function parseQuery(search, schema = {}) {
+  const params = new URLSearchParams(search);
+  const query = {};
+  for (const key of new Set(params.keys())) {
+    const values = params.getAll(key);
+    query[key] = values.length > 1 ? values : values[0];
+  }
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = decodeQueryValue(params.getAll(key), toQuerySpec(spec));
+    if (value === undefined) delete query[key];
+    else query[key] = value;
+  }
+  return query;
+}
+
+function pickParams(params, names) {
+  const out = {};
+  for (const name of names) {
+    if (name in params) out[name] = params[name];
+  }
+  return out;
+}
+
+/**
+ * Resolve route metadata along a matched chain, outermost first; a child's
+ * keys override its parent's. route.meta may be an object whose values are
+ * strings or ({ params, query, data }) => value functions, or such a function
+ * returning the whole object.
+ * @param {Array} matches - [{ record, params }], outermost first
+ * @param {Object} opts
+ * @param {Object} opts.query
+ * @param {Array}  opts.data - Loader result per level
+ */
+export function resolveMeta(matches, { query = {}, data = [] } = {}) {
+  const meta = {};
+  matches.forEach((m, i) => {
+    const props = { params: m.params, query, data: data[i] };
+    let own = m.record.meta;
+    if (typeof own === 'function') own = own(props);
+    for (const [key, value] of Object.entries(own || {})) {
+      meta[key] = typeof value === 'function' ? value(props) : value;
+    }
+  });
+  return meta;
+}
+
+export function normalizePath(p) {
+  if (!p) return '/';
+  if (p[0] !== '/') p = '/' + p;
+  if (p === '/index.html') return '/';
+  if (p.length > 1 && p.endsWith('/')) p = p.slice(0, -1);
+  return p;
+}
+
+/**
+ * Split a locale prefix off an app path: ('/de/users', ['en', 'de']) → { locale: 'de', path: '/users' }.
+ * locale is null when the first segment is not one of `locales`.
+ */
+export function splitLocale(path, locales) {
+  const end = path.indexOf('/', 1);
+  const first = end < 0 ? path.slice(1) : path.slice(1, end);
+  if (!locales || !locales.includes(first)) return { locale: null, path };
+  return { locale: first, path: end < 0 ? '/' : path.slice(end) };
+}
+
+/**
+ * Prefix an app URL with a locale: ('/users?tab=posts', 'de') → '/de/users?tab=posts',
+ * ('/', 'de') → '/de'. A null locale leaves the URL as is.
+ */
+export function withLocale(url, locale) {
+  if (!locale) return url;
+  return '/' + locale + (url === '/' || url[1] === '?' || url[1] === '#' ? url.slice(1) : url);
+}
+
+/**
+ * Compile a fallback route ({ path: '/*', view: '404', component }) into a record.
+ */
+export function compileFallback(fallback) {
+  if (!fallback) return null;
+  const fullPath = fallback.path || '/*';
+  return { ...fallback, fullPath, parent: null, ...compilePattern(fullPath) };
+}
+
+/**
+ * Resolve a pathname against ranked records, falling back when nothing matches.
+ * Returns { path, view, component, params, matches, fallback } or null, where
+ * matches is the chain from the outermost layout to the matched route.
+ */
+export function resolveRoute(compiled, compiledFallback, pathname) {
+  const p = normalizePath(pathname);
+  for (const record of compiled) {
+    const params = matchRecord(record, p);
+    if (params) return toResolved(record, params, false);
+  }
+  if (compiledFallback) return toResolved(compiledFallback, matchRecord(compiledFallback, p) || {}, true);
+  return null;
+}
+
+// Constraints that may match '/' or a variable number of segments; such
+// params are checked by regex instead of being indexed one segment deep
+const WIDE_CONSTRAINT_RE = /\.|\[\^|\\[WSDB]|\//;
+
+// How a pattern segment is indexed in the trie: 'static' by its text,
+// 'param' as exactly one segment, 'loose' (optional, splat, wide
+// constraint) ends the indexed part of the pattern
+function segmentKind(segment) {
+  const tokens = [...segment.matchAll(TOKEN_RE)];
+  if (!tokens.length) return 'static';
+  if (tokens.some(t => t[0][0] === '*' || t[3] === '?' || (t[2] && WIDE_CONSTRAINT_RE.test(t[2])))) return 'loose';
+  return 'param';
+}
+
+// '/users/:id' → ['users', ':id']
+function patternSegments(pattern) {
+  return pattern.split('/').filter(Boolean);
+}
+
+function createNode() {
+  return { static: new Map(), param: null, exact: [], loose: [] };
+}
+
+// Index records by their leading segments. A lookup walks the path's
+// segments and collects every record whose indexed part fits; those few
+// candidates are then tested by regex in rank order.
+function buildTrie(records) {
+  const root = createNode();
+  records.forEach((record, rank) => {
+    let node = root;
+    let loose = false;
+    for (const segment of patternSegments(record.fullPath)) {
+      const kind = segmentKind(segment);
+      if (kind === 'loose') { loose = true; break; }
+      if (kind === 'static') {
+        if (!node.static.has(segment)) node.static.set(segment, createNode());
+        node = node.static.get(segment);
+      } else {
+        node = node.param || (node.param = createNode());
+      }
+    }
+    (loose ? node.loose : node.exact).push(rank);
+  });
+  return root;
+}
+
+function collectCandidates(node, segments, i, out) {
+  for (const rank of node.loose) out.push(rank);
+  if (i === segments.length) {
+    for (const rank of node.exact) out.push(rank);
+    return;
+  }
+  const child = node.static.get(segments[i]);
+  if (child) collectCandidates(child, segments, i + 1, out);
+  if (node.param) collectCandidates(node.param, segments, i + 1, out);
+}
+
+// A pattern with param names erased, so '/users/:id' and '/users/:userId' compare equal
+function patternSignature(pattern) {
+  return pattern.replace(TOKEN_RE, (m, name, constraint = '', optional = '') => (m[0] === '*' ? '*' : ':' + constraint + optional));
+}
+
+function isAncestor(record, other) {
+  for (let r = other.parent; r; r = r.parent) if (r === record) return true;
+  return false;
+}
+
+// Equally specific patterns have static segments in the same positions,
+// so two of them can match the same path only if those segments are equal
+function staticShape(pattern) {
+  return patternSegments(pattern).map(segment => (segmentKind(segment) === 'static' ? segment : '')).join('/');
+}
+
+// Whether no value satisfies both inline constraints. Only clear cases are
+// decided: a list of literals (en|de) none of which the other accepts, or
+// two repeated character classes ([a-z]+, \d{2,4}) with no character in common.
+function constraintsDisjoint(a, b) {
+  const full = c => new RegExp('^(?:' + c + ')$');
+  const literals = c => (/^[\w-]+(?:\|[\w-]+)*$/.test(c) ? c.split('|') : null);
+  if (literals(a)) return !literals(a).some(value => full(b).test(value));
+  if (literals(b)) return !literals(b).some(value => full(a).test(value));
+  const classA = a.match(CHAR_CLASS_RE);
+  const classB = b.match(CHAR_CLASS_RE);
+  if (!classA || !classB || (full(a).test('') && full(b).test(''))) return false;
+  const charA = new RegExp('^' + classA[1] + '$');
+  const charB = new RegExp('^' + classB[1] + '$');
+  return !SAMPLE_CHARS.some(ch => charA.test(ch) && charB.test(ch));
+}
+
+// Patterns alike but for a param whose constraints cannot both match,
+// e.g. /n/:id(\d+) and /n/:slug([a-z]+)
+function constrainedApart(a, b) {
+  const partsA = patternParts(a);
+  const partsB = patternParts(b);
+  if (partsA.length !== partsB.length || partsA.some((part, i) => part.literal !== partsB[i].literal)) return false;
+  return partsA.some((part, i) => part.constraint && partsB[i].constraint && constraintsDisjoint(part.constraint, partsB[i].constraint));
+}
+
+// Routes that can never match (an earlier route with the same pattern
+// always wins) and pairs whose winner depends only on their listed order
+function findConflicts(records) {
+  const conflicts = [];
+  const seen = new Map();
+  for (const record of records) {
+    const signature = patternSignature(record.fullPath);
+    const earlier = seen.get(signature);
+    // A parse decoder can reject a value and let the next route match
+    const decodes = r => Object.keys(r.parse || {}).length > 0;
+    if (earlier && !isAncestor(record, earlier) && !isAncestor(earlier, record) && !decodes(record) && !decodes(earlier)) {
+      conflicts.push({
+        type: 'shadowed', path: record.fullPath, by: earlier.fullPath,
+        message: `[router] Route ${record.fullPath} never matches: ${earlier.fullPath} always wins`,
+      });
+      continue;
+    }
+    if (!earlier) seen.set(signature, record);
+  }
+  // Ranked records with equal specificity are adjacent
+  for (let start = 0, end = 1; start < records.length; start = end, end = start + 1) {
+    while (end < records.length && compareSpecificity(records[start], records[end]) === 0) end++;
+    const shapes = new Map();
+    for (const b of records.slice(start, end)) {
+      const shape = staticShape(b.fullPath);
+      const group = shapes.get(shape) || [];
+      for (const a of group) {
+        if (patternSignature(a.fullPath) === patternSignature(b.fullPath) || constrainedApart(a.fullPath, b.fullPath)) continue;
+        conflicts.push({
+          type: 'ambiguous', path: b.fullPath, by: a.fullPath,
+          message: `[router] Routes ${a.fullPath} and ${b.fullPath} are equally specific; the one listed first wins`,
+        });
+      }
+      shapes.set(shape, [...group, b]);
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Create a DOM-free matcher for a route table. Routes are compiled and
+ * ranked like the router does, then indexed in a segment trie, so a lookup
+ * only tests the few routes whose static segments fit the path. Results are
+ * the same as testing every route in rank order.
+ *
+ * Routes that can never match, or whose winner depends only on their listed
+ * order, are reported in `conflicts` (and to `onConflict`) when the table is built.
+ *
+ * @param {Array} routes
+ * @param {Object} [opts]
+ * @param {Object} [opts.fallback]     - Fallback route when nothing matches
+ * @param {Function} [opts.onConflict] - Called with each { type, path, by, message }
+ * @returns {{ records: Array, conflicts: Array, resolve: Function, setRecords: Function }}
+ */
+export function createMatcher(routes, { fallback = null, onConflict = null } = {}) {
+  const compiledFallback = compileFallback(fallback);
+  const matcher = {
+    records: [],
+    conflicts: [],
+    /**
+     * Resolve a pathname; same result as resolveRoute().
+     * @param {string} pathname
+     */
+    resolve(pathname) {
+      const p = normalizePath(pathname);
+      const candidates = [];
+      collectCandidates(trie, patternSegments(p), 0, candidates);
+      candidates.sort((a, b) => a - b);
+      for (const rank of candidates) {
+        const record = matcher.records[rank];
+        const params = matchRecord(record, p);
+        if (params) return toResolved(record, params, false);
+      }
+      if (compiledFallback) return toResolved(compiledFallback, matchRecord(compiledFallback, p) || {}, true);
+      return null;
+    },
+    /**
+     * Replace the compiled records (e.g. to add a mounted router's route); re-ranks
+     * and re-indexes. Only conflicts not reported before go to onConflict.
+     * @param {Array} records - Compiled records
+     */
+    setRecords(records) {
+      const reported = new Set(matcher.conflicts.map(c => c.message));
+      matcher.records = [...records].sort(compareSpecificity);
+      trie = buildTrie(matcher.records);
+      matcher.conflicts = findConflicts(matcher.records);
+      if (typeof onConflict === 'function') matcher.conflicts.filter(c => !reported.has(c.message)).forEach(onConflict);
+    },
+  };
+  let trie = null;
+  matcher.setRecords(compileRoutes(routes));
+  return matcher;
+}
+
+// Merge two search strings; keys in `over` replace those in `base`
+function mergeSearch(base, over) {
+  const params = new URLSearchParams(base);
+  const extra = new URLSearchParams(over);
+  for (const key of new Set(extra.keys())) {
+    params.delete(key);
+    for (const value of extra.getAll(key)) params.append(key, value);
+  }
+  const str = params.toString();
+  return str ? ('?' + str) : '';
+}
+
+/**
+ * Compute where a matched redirect route sends a URL.
+ * A string target may use the source's :params and may add a query;
+ * a function receives { params, query, path, search } and returns a path
+ * or { path, search }. The source query is carried over in both cases.
+ */
+export function redirectTarget(resolved, path, search) {
+  const record = resolved.matches[resolved.matches.length - 1].record;
+  let target = record.redirect;
+  if (typeof target === 'function') {
+    target = target({ params: resolved.params, query: parseQuery(search, record.querySchema), path, search });
+  } else {
+    const [pattern, extra = ''] = target.split('?');
+    const compiled = { ...compilePattern(pattern), fullPath: pattern, name: record.fullPath };
+    target = buildPath(compiled, pickParams(resolved.params, compiled.paramNames)) + (extra ? '?' + extra : '');
+  }
+  if (typeof target === 'string') {
+    const i = target.indexOf('?');
+    target = i < 0 ? { path: target } : { path: target.slice(0, i), search: target.slice(i) };
+  }
+  if (!target || typeof target.path !== 'string') {
+    throw new Error(`[router] Redirect for route "${record.fullPath}" must return a path`);
+  }
+  return { path: normalizePath(target.path), search: mergeSearch(search, target.search || '') };
+}
+
+/**
+ * Follow declarative redirects from a path until it reaches a route
+ * without `redirect` (or no route). Throws on a cycle or after `max` hops.
+ * @param {Function} resolve - pathname => resolved route or null
+ * @returns {{ path: string, search: string, resolved: ?Object, hops: string[] }}
+ */
+export function followRedirects(resolve, path, search = '', max = 10) {
+  const hops = [path + search];
+  let resolved = resolve(path);
+  while (resolved && resolved.matches[resolved.matches.length - 1].record.redirect) {
+    ({ path, search } = redirectTarget(resolved, path, search));
+    const url = path + search;
+    if (hops.includes(url)) throw new Error('[router] Redirect loop: ' + [...hops, url].join(' → '));
+    hops.push(url);
+    if (hops.length > max + 1) throw new Error(`[router] Too many redirects (max ${max}): ` + hops.join(' → '));
+    resolved = resolve(path);
+  }
+  return { path, search, resolved, hops };
+}
+
+// Expand a matched record into its chain of matches, outermost first
+function toResolved(record, params, fallback) {
+  const matches = [];
+  for (let r = record; r; r = r.parent) {
+    matches.unshift({
+      record: r,
+      path: r.fullPath,
+      view: r.view,
+      component: r.component,
+      params: pickParams(params, r.paramNames),
+    });
+  }
+  return { path: record.fullPath, view: record.view, component: record.component, params, matches, fallback };
+}
@@ -1,128 +1,365 @@
 // @uistate/router: SPA router factory for EventState stores
 // Routing is just state: navigate() writes to store paths, components subscribe.
 
+import { createBrowserHistory, createMemoryHistory } from './history.js';
+import {
+  buildPath,
+  compileRoutes,
+  createMatcher,
+  followRedirects,
+  normalizePath,
+  parseQuery,
+  resolveMeta,
+  splitLocale,
+  toQuerySpec,
+  toSearch,
+  withLocale,
+} from './matcher.js';
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
 /**
- * Compile a route pattern like '/users/:id/posts/:postId' into a matcher.
- * Returns { regex, paramNames } for extraction.
+ * Normalize what a component's boot() returned into a mounted level's hooks.
+ * boot may return an unboot function or { unboot, canLeave }.
  */
-function compilePattern(pattern) {
-  const paramNames = [];
-  const parts = pattern.split(/:([a-zA-Z_][a-zA-Z0-9_]*)/);
-  const regexStr = parts
-    .map((part, i) => {
-      if (i % 2 === 1) {
-        paramNames.push(part);
-        return '([^/]+)';
-      }
-      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    })
-    .join('');
-  return { regex: new RegExp('^' + regexStr + '$'), paramNames };
+function toMount(result) {
+  if (typeof result === 'function') return { unboot: result, canLeave: null, activate: null, deactivate: null };
+  if (result && typeof result === 'object') {
+    return {
+      unboot: result.unboot || null,
+      canLeave: result.canLeave || null,
+      activate: result.activate || null,
+      deactivate: result.deactivate || null,
+    };
+  }
+  return { unboot: null, canLeave: null, activate: null, deactivate: null };
+}
+
+// A GET form's fields as a search string, the way the browser sends them
+function formSearch(formData) {
+  const params = new URLSearchParams();
+  for (const [key, value] of formData) params.append(key, typeof value === 'string' ? value : value.name);
+  const str = params.toString();
+  return str ? '?' + str : '';
+}
+
+// A form's fields, with the submitter's name and value. Forms that are not
+// HTMLFormElements (the test DOM) are read from their named controls.
+function readForm(form, submitter) {
+  if (typeof HTMLFormElement === 'function' && form instanceof HTMLFormElement) return new FormData(form, submitter);
+  const formData = new FormData();
+  for (const el of form.querySelectorAll('input[name], select[name], textarea[name]')) {
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    const checkable = type === 'checkbox' || type === 'radio';
+    if (el.hasAttribute('disabled') || ['submit', 'button', 'image', 'reset'].includes(type)) continue;
+    if (checkable && !el.hasAttribute('checked')) continue;
+    let value = el.getAttribute('value') ?? (checkable ? 'on' : '');
+    if (el.tagName === 'TEXTAREA') value = el.textContent;
+    if (el.tagName === 'SELECT') value = (el.querySelector('option[selected]') || el.querySelector('option'))?.getAttribute('value') ?? '';
+    formData.append(el.getAttribute('name'), value);
+  }
+  if (submitter?.getAttribute('name')) formData.append(submitter.getAttribute('name'), submitter.getAttribute('value') || '');
+  return formData;
+}
+
+// A view's own element: display: contents, so it can be detached and
+// re-attached without affecting layout
+function createViewElement(parent) {
+  const el = parent.ownerDocument.createElement('div');
+  el.setAttribute('data-route-view', '');
+  el.style.display = 'contents';
+  return el;
+}
+
+// The outlet a modal route opens in: route.modal may name it, else 'modal'
+function modalOutlet(record) {
+  return typeof record.modal === 'string' ? record.modal : 'modal';
+}
+
+// Unique id for a history entry, kept in history.state.key
+function createKey() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+function cacheKey(record, params) {
+  return record.fullPath + ' ' + JSON.stringify(params);
+}
+
+// route.state: a store path, or { path, initial } to reset to a copy of initial
+function stateScope(record) {
+  const { state } = record;
+  if (!state) return null;
+  return typeof state === 'string' ? { path: state, initial: undefined } : state;
+}
+
+// Snapshots are copied in and out of history.state, which only holds cloneable values
+function cloneState(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// Internal interface a router exposes to the router it is mounted in
+const MOUNT = Symbol('mount');
+// Param that carries the rest of the path below a mount prefix
+const MOUNT_PARAM = 'mountPath';
+// Keys a router writes under its namespace; a mounted router's own
+// namespace must not land on one (mount('/data') → ui.route.data)
+const ROUTE_KEYS = [
+  'view', 'path', 'params', 'query', 'matches', 'data', 'transitioning', 'direction', 'blocked',
+  'block', 'redirectedFrom', 'outlets', 'background', 'locale', 'meta', 'error', 'actionData', 'log', 'go',
+];
+
+// Monotonic clock for phase timings
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+function sameParams(a, b) {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(k => a[k] === b[k]);
 }
 
 /**
  * Create a SPA router bound to an EventState store.
  *
  * @param {Object} config
- * @param {Array}  config.routes       - [{ path: '/users/:id', view: 'user', component: UserView }]
+ * @param {Array}  config.routes       - [{ path: '/users/:id', name: 'user', view: 'user', component: UserView, load, parse, query, children: [...] }]
  * @param {Object} [config.store]      - EventState store instance
  * @param {string} [config.rootSelector='[data-route-root]'] - Root element for view mounting
+ * @param {Element} [config.root]     - Root element itself (takes precedence over rootSelector)
+ * @param {Object} [config.history]   - History adapter; defaults to createBrowserHistory(),
+ *   or createMemoryHistory() where there is no window (Node, SSR)
+ * @param {string} [config.namespace='ui.route'] - Store path the route state is written under;
+ *   a mounted router defaults to its parent's plus the prefix, e.g. 'ui.route.admin'
  * @param {Object} [config.fallback]   - Fallback route when nothing matches
- * @param {boolean} [config.debug=false]
+ * @param {string[]} [config.locales]   - Locale prefixes every route matches under, e.g. ['en', 'de']
+ * @param {string} [config.defaultLocale] - Locale for URLs without a prefix; defaults to the
+ *   best match in navigator.languages, then locales[0]
+ * @param {boolean} [config.debug=false] - Log to the console and add performance.measure entries per phase
+ * @param {number} [config.logMax=50] - Navigations kept in ui.route.log (0 disables the log)
  * @param {string} [config.linkSelector='a[data-link]'] - Selector for intercepted links
+ * @param {string} [config.formSelector='form[data-link]'] - Selector for intercepted forms
  * @param {string} [config.navSelector='nav a[data-link]'] - Selector for nav links to toggle .active class
+ * @param {string} [config.outletSelector='[data-route-outlet]'] - Element inside a parent view where children boot
+ * @param {boolean|Function} [config.announce=true] - Announce each new page in a polite aria-live
+ *   region; a function ({ title, path, view, meta }) => string sets the text
+ * @param {Element|string} [config.scrollContainer] - Element (or selector) that scrolls instead of window
+ * @param {number} [config.keepAliveMax=10] - Views kept detached for routes with keepAlive (LRU)
+ * @param {boolean} [config.viewTransition=false] - Keep the old view on screen until the new one
+ *   has booted, then swap it in (inside document.startViewTransition when available)
+ * @param {Object} [config.errorComponent] - View booted with { error, params, retry } when a navigation fails;
+ *   routes can override it with their own errorComponent
+ * @param {Function} [config.beforeEach] - Global guard (to, from, { signal }) run before every navigation
+ * @param {string} [config.prefetch='none'] - Link prefetch strategy: 'intent' (hover/focus), 'viewport' or 'none'.
+ *   Override per link with data-prefetch="intent|viewport|none".
+ * @param {Function} [config.onConflict] - Called with each { type, path, by, message } route table conflict;
+ *   by default conflicts are only logged when debug is on
+ *
+ * Guards (beforeEach, route.beforeEnter, and canLeave returned from boot) may be async.
+ * Returning false cancels, a path string or { path, search } redirects, anything else allows.
+ *
+ * Route loaders: route.load({ params, query, signal, store }) resolves before the old view
+ * is unbooted; the result is passed to boot({ data }) and written to ui.route.data.
+ * Set route.staleTime (ms) to cache results per URL.
+ *
+ * Redirects and aliases: route.redirect ('/users/:id' or ({ params, query }) => path)
+ * sends a URL elsewhere before history is touched; route.alias lists extra paths
+ * that match the same route.
+ *
+ * Query schemas: route.query declares typed keys, e.g.
+ * { page: { type: 'number', default: 1, omitDefault: true }, tag: 'array' }.
+ *
+ * Named outlets and modals: route.components = { default, aside } boots each view into
+ * [data-route-outlet="aside"]; a route.modal route opened from a mounted page boots into
+ * [data-route-outlet="modal"] over it. ui.route.outlets describes what fills each outlet.
+ *
+ * Route meta: route.meta = { title, description, robots } (values may be
+ * ({ params, query, data }) => string) sets document.title and <meta> tags after navigation.
+ *
+ * Keep-alive: route.keepAlive caches the view on leave instead of unbooting it; boot may
+ * return { activate, deactivate } hooks called on re-attach and detach.
+ *
+ * Route-scoped state: route.state = 'ui.views.user' owns that store subtree. It is reset when
+ * the view is left, snapshotted into the entry's history.state, and restored before boot()
+ * on back/forward.
+ *
+ * Lazy components: route.component may be an async factory, e.g. () => import('./views/user.js').
+ * It is called the first time the route matches and the module is cached.
+ *
+ * Locales: with locales: ['en', 'de'], /de/users/42 routes as /users/42 and sets ui.route.locale.
+ * Paths without a prefix stay in the current locale; router.setLocale('de') switches it.
+ *
+ * Mounting: parent.mount('/admin', adminRouter) routes /admin/* through another router.
+ * The child boots into the mount level, writes ui.route.admin.*, and leaves listeners
+ * and the URL to the parent.
+ *
+ * Forms: a GET form matching formSelector navigates with its fields as the query. A POST form
+ * runs route.action({ formData, params, signal }) of the route it targets and writes the
+ * result to ui.route.actionData.
+ *
+ * Navigation API: where the browser history supports it, the router handles the navigate
+ * event (links, forms, location.assign, back/forward) instead of click and popstate.
+ *
+ * Blocking: router.block(fn) or store.set('ui.route.block', message) holds every navigation
+ * (links, navigate, ui.route.go, back/forward) until the blocker approves.
  *
  * Store-driven navigation (requires store):
  *   Any code with store access can navigate without importing the router:
  *   - store.set('ui.route.go', '/about')
  *   - store.set('ui.route.go', { path: '/users/1', search: '?tab=posts' })
  *   - store.set('ui.route.go', { query: { tab: 'posts' } })  // patch query only
+ *   - store.set('ui.route.go', { name: 'user', params: { id: 1 } })
  */
 export function createRouter(config) {
   const {
     routes = [],
     store,
     rootSelector = '[data-route-root]',
+    root: rootElement = null,
+    history: historyOption = typeof window !== 'undefined' ? createBrowserHistory() : createMemoryHistory(),
+    namespace: namespaceOption = null,
     fallback = null,
+    locales = null,
+    defaultLocale = null,
     debug = false,
     linkSelector = 'a[data-link]',
+    formSelector = 'form[data-link]',
     navSelector = 'nav a[data-link]',
+    outletSelector = '[data-route-outlet]',
+    beforeEach = null,
+    errorComponent = null,
+    viewTransition = false,
+    keepAliveMax = 10,
+    scrollContainer = null,
+    announce = true,
+    prefetch = 'none',
+    logMax = 50,
+    onConflict = null,
   } = config;
 
-  // Pre-compile route patterns
-  const compiled = routes.map(route => ({
-    ...route,
-    ...compilePattern(route.path),
-  }));
+  const MAX_REDIRECTS = 10;
+  const PREFETCH_TTL = 10000;
+  const SCROLL_STORAGE_KEY = 'uistate-router:scroll';
+  const META_TAGS = ['description', 'robots'];
 
-  const compiledFallback = fallback
-    ? { ...fallback, ...compilePattern(fallback.path || '/*'), params: {} }
-    : null;
+  // Both change when the router is mounted in another one
+  let history = historyOption;
+  let namespace = namespaceOption || 'ui.route';
 
-  // Detect base path from <base href> if present
-  const BASE_PATH = (() => {
-    const b = document.querySelector('base[href]');
-    if (!b) return '';
-    try {
-      const u = new URL(b.getAttribute('href'), location.href);
-      let p = u.pathname;
-      if (p.length > 1 && p.endsWith('/')) p = p.slice(0, -1);
-      return p;
-    } catch { return ''; }
-  })();
+  // Pre-compile route patterns (nested children flattened), most specific first.
+  // The sort is stable, so equally specific routes keep their listed order.
+  // Routes that can never match, or win only by listed order, are reported to onConflict (or logged).
+  const matcher = createMatcher(routes, {
+    fallback,
+    onConflict: onConflict || (conflict => log(conflict.message.replace(/^\[router\] /, ''))),
+  });
+
+  // Named routes for href() and navigate({ name })
+  const named = new Map();
+  for (const record of matcher.records) {
+    if (!record.name || record.aliasOf) continue;
+    if (named.has(record.name)) throw new Error('[router] Duplicate route name: ' + record.name);
+    named.set(record.name, record);
+  }
 
+  // Named outlets any route can fill, so ui.route.outlets lists empty ones as null
+  const outletNames = new Set(['default']);
+  for (const record of matcher.records) {
+    for (const name of Object.keys(record.components || {})) outletNames.add(name);
+    if (record.modal) outletNames.add(modalOutlet(record));
+  }
+
+  // The DOM is optional: with a memory history and a root element the
+  // router runs in Node and inside embedded widgets.
+  const hasDom = typeof document !== 'undefined';
+
+  // Store path for a piece of route state, e.g. routeKey('view') → 'ui.route.view'
+  function routeKey(name) {
+    return namespace + '.' + name;
+  }
+
+  // Tolerate paths that still carry the history's base path
   function stripBase(pathname) {
-    if (BASE_PATH && pathname.startsWith(BASE_PATH)) {
-      const rest = pathname.slice(BASE_PATH.length) || '/';
+    const base = history.base;
+    if (base && pathname.startsWith(base)) {
+      const rest = pathname.slice(base.length) || '/';
       return rest.startsWith('/') ? rest : ('/' + rest);
     }
     return pathname;
   }
 
-  function withBase(pathname) {
-    if (!BASE_PATH) return pathname;
-    if (pathname === '/') return BASE_PATH || '/';
-    return BASE_PATH + (pathname.startsWith('/') ? '' : '/') + pathname;
-  }
-
-  function normalizePath(p) {
-    if (!p) return '/';
-    if (p[0] !== '/') p = '/' + p;
-    if (p === '/index.html') return '/';
-    if (p.length > 1 && p.endsWith('/')) p = p.slice(0, -1);
-    return p;
+  // The locale for a URL without a prefix: defaultLocale, else the user's
+  // first navigator.languages entry we have (exact, then by language), else locales[0]
+  function preferredLocale() {
+    if (defaultLocale) return defaultLocale;
+    const languages = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+    for (const language of languages) {
+      if (!language) continue;
+      const lower = language.toLowerCase();
+      const found = locales.find(l => l.toLowerCase() === lower) ||
+        locales.find(l => l.toLowerCase() === lower.split('-')[0]);
+      if (found) return found;
+    }
+    return locales[0];
   }
 
   function resolve(pathname) {
-    const p = normalizePath(pathname);
-    for (const route of compiled) {
-      const match = p.match(route.regex);
-      if (match) {
-        const params = {};
-        route.paramNames.forEach((name, i) => {
-          params[name] = decodeURIComponent(match[i + 1]);
-        });
-        return { path: route.path, view: route.view, component: route.component, params };
-      }
-    }
-    if (compiledFallback) return { ...compiledFallback, params: {} };
-    return null;
+    return matcher.resolve(pathname);
   }
 
   function getRoot() {
-    const el = document.querySelector(rootSelector);
+    const el = mountedIn?.root || rootElement || (hasDom ? document.querySelector(rootSelector) : null);
     if (!el) throw new Error('[router] Route root not found: ' + rootSelector);
     return el;
   }
 
+  // A parent without a component only groups its children, so they share its container
+  // A view's default outlet; named outlets ([data-route-outlet="aside"]) are skipped
+  function getOutlet(level) {
+    if (!level.record.component) return level.el;
+    const el = [...level.el.querySelectorAll(outletSelector)].find(o => {
+      const name = o.getAttribute('data-route-outlet');
+      return !name || name === 'default';
+    });
+    if (!el) throw new Error('[router] Outlet not found in view: ' + (level.record.view || level.record.fullPath));
+    return el;
+  }
+
+  // A named outlet, looked up in the parent view first, then the page
+  function getNamedOutlet(name, parent) {
+    const selector = `[data-route-outlet="${name}"]`;
+    const el = parent?.el.querySelector(selector) ||
+      (hasDom ? document.querySelector(selector) : getRoot().querySelector(selector));
+    if (!el) throw new Error('[router] Outlet not found: ' + name);
+    return el;
+  }
+
+  // Where a level boots: modal levels into their named outlet, others into
+  // the parent's outlet (or the root)
+  function getContainer(match, parent) {
+    if (match.outlet) return getNamedOutlet(match.outlet, null);
+    return parent ? getOutlet(parent) : getRoot();
+  }
+
+  function endTransition() {
+    if (hasDom && !mountedIn) document.documentElement.setAttribute('data-transitioning', 'off');
+    if (store) {
+      try { store.set(routeKey('transitioning'), false); } catch {}
+    }
+  }
+
   function log(...args) {
     if (debug) console.debug('[router]', ...args);
   }
 
   function setActiveNav(pathname) {
+    if (!hasDom) return;
     document.querySelectorAll(navSelector).forEach(a => {
-      const url = new URL(a.getAttribute('href'), location.href);
-      const linkPath = normalizePath(stripBase(url.pathname));
+      const link = history.parse(a.getAttribute('href') || '');
+      if (!link) return;
+      const linkPath = splitLocale(normalizePath(link.pathname), locales).path;
       const here = normalizePath(pathname);
       const isExact = linkPath === here;
       const isParent = !isExact && linkPath !== '/' && here.startsWith(linkPath);
@@ -134,139 +371,1263 @@ export function createRouter(config) {
   }
 
   // Internal state
-  let current = { viewKey: null, unboot: null, path: null, search: '' };
+  // current.matches holds the mounted chain: [{ record, params, unboot, canLeave, el, data }]
+  // (an error view is mounted as a level with failed: true)
+  let current = {
+    viewKey: null, matches: [], path: null, search: '', hash: '', params: {}, error: null,
+    locale: null, // active locale prefix when config.locales is set
+    background: null, // URL of the page under an open modal route
+    outlets: new Map(), // filled named outlets: name → element
+    meta: {},
+  };
   let navController = null;
-  const scrollPositions = new Map();
-  history.scrollRestoration = 'manual';
+  // Set while mounted in another router: { prefix, navigate, entryKey, root }
+  let mountedIn = null;
+  let activeTimeline = null;
+  let navSeq = 0;
+  // Navigations and form actions not yet settled, for settled()
+  const inFlight = new Set();
+  const blockers = new Set();
+  let started = false;
+  // Each history entry carries { idx, key } in history.state: idx gives the
+  // direction hint, key identifies the entry's saved scroll position
+  let historyIndex = 0;
+  let historyKey = null;
+  const scrollPositions = new Map(readScrollPositions());
+  const loaderCache = new Map();
+  const componentCache = new Map();
+  const viewCache = new Map(); // keepAlive views: cacheKey → { el, mount, data }
+  const viewStates = new Map(); // route.state snapshots: history key → { [store path]: value }
+
+  // Run a route's loader, serving a cached result while it is fresh. A call
+  // still pending is shared, so hovering a link twice starts one request.
+  function runLoader(record, { params, query, url, locale, signal, ttl = record.staleTime }) {
+    const key = record.fullPath + ' ' + withLocale(url, locale);
+    const cached = loaderCache.get(key);
+    if (cached && (cached.pending || cached.expires > Date.now())) {
+      // A shared call aborted by the navigation that started it is run again
+      return cached.promise.catch((error) => {
+        if (!cached.signal.aborted || signal.aborted) throw error;
+        return runLoader(record, { params, query, url, locale, signal, ttl });
+      });
+    }
+    const entry = { pending: true, signal, expires: 0, promise: null };
+    entry.promise = new Promise(resolve => resolve(record.load({ params, query, signal, store, locale }))).then((data) => {
+      entry.pending = false;
+      if (ttl > 0 && !signal.aborted) entry.expires = Date.now() + ttl;
+      else if (loaderCache.get(key) === entry) loaderCache.delete(key);
+      return data;
+    }, (error) => {
+      if (loaderCache.get(key) === entry) loaderCache.delete(key);
+      throw error;
+    });
+    loaderCache.delete(key);
+    loaderCache.set(key, entry);
+    if (loaderCache.size > 50) loaderCache.delete(loaderCache.keys().next().value);
+    return entry.promise;
+  }
+
+  // Resolve a component. Async factories are called once and the module
+  // (its default export, or the module itself if it has boot) is cached.
+  // A function with its own boot (e.g. a class with a static boot) is a component.
+  function loadComponent(factory) {
+    if (typeof factory !== 'function' || typeof factory.boot === 'function') return factory;
+    if (!componentCache.has(factory)) {
+      const pending = Promise.resolve(factory())
+        .then(mod => (mod && typeof mod.boot === 'function' ? mod : mod?.default))
+        .catch(err => { componentCache.delete(factory); throw err; });
+      componentCache.set(factory, pending);
+    }
+    return componentCache.get(factory);
+  }
 
   /**
-   * Navigate to a pathname.
+   * Warm a path's component modules and loaders without navigating.
+   * Prefetched loader results are reused by a navigation within PREFETCH_TTL.
    * @param {string} pathname
    * @param {Object} [opts]
+   * @param {string} [opts.search='']
+   */
+  async function prefetchRoute(pathname, { search = '' } = {}) {
+    let target;
+    let locale = null;
+    let appPath = normalizePath(stripBase(pathname));
+    if (locales) {
+      ({ locale, path: appPath } = splitLocale(appPath, locales));
+      locale = locale || current.locale || preferredLocale();
+    }
+    try {
+      target = followRedirects(resolve, appPath,
+        search && search.startsWith('?') ? search : (search ? ('?' + search) : ''), MAX_REDIRECTS);
+    } catch { return; }
+    const { search: searchStr, resolved } = target;
+    if (!resolved) return;
+    appPath = target.path;
+    const query = parseQuery(searchStr, resolved.matches[resolved.matches.length - 1].record.querySchema);
+    const { signal } = new AbortController();
+    log('prefetch', { path: appPath });
+    await Promise.all(resolved.matches.map(m => Promise.all([
+      loadComponent(m.record.component),
+      typeof m.record.load === 'function'
+        ? runLoader(m.record, {
+          params: m.params, query, url: appPath + searchStr, locale, signal,
+          ttl: m.record.staleTime > 0 ? m.record.staleTime : PREFETCH_TTL,
+        })
+        : null,
+    ])));
+  }
+
+  // Resolve { name, params, query } to an app path and search string
+  function resolveNamed({ name, params, query }) {
+    const record = named.get(name);
+    if (!record) throw new Error('[router] Unknown route name: ' + name);
+    return { path: buildPath(record, params), search: toSearch(query) };
+  }
+
+  /**
+   * Build an href for a named route, with the history's base and the
+   * current locale applied.
+   * @param {string} name
+   * @param {Object} [params]
+   * @param {Object} [query]
+   */
+  function href(name, params, query) {
+    const { path, search } = resolveNamed({ name, params, query });
+    return history.createHref(withLocale(path + search, locales ? current.locale || preferredLocale() : null));
+  }
+
+  /**
+   * Switch to another locale, keeping the current path, query and fragment.
+   * @param {string} locale - One of config.locales
+   * @param {Object} [opts]
+   * @param {boolean} [opts.replace=false]
+   * @returns {Promise} Same result as navigate()
+   */
+  function setLocale(locale, { replace = false } = {}) {
+    if (!locales || !locales.includes(locale)) {
+      return Promise.reject(new Error('[router] Unknown locale: ' + locale));
+    }
+    return navigate(withLocale(current.path || '/', locale), { search: current.search, hash: current.hash, replace });
+  }
+
+  // What a path resolves to, as navigate() sees it (base and locale stripped)
+  function resolveTarget(pathname) {
+    let appPath = normalizePath(stripBase(pathname));
+    if (locales) appPath = splitLocale(appPath, locales).path;
+    return { appPath, resolved: resolve(appPath) };
+  }
+
+  // The deepest matched route with an action for a form's target path
+  function findAction(pathname) {
+    const { appPath, resolved } = resolveTarget(pathname);
+    if (!resolved || resolved.fallback) return null;
+    const match = [...resolved.matches].reverse().find(m => typeof m.record.action === 'function');
+    return match ? { record: match.record, params: match.params, appPath } : null;
+  }
+
+  // The running action, aborted when another form is submitted
+  let actionController = null;
+
+  /**
+   * Submit form data to the action of the route a path matches, as a POST
+   * form matching formSelector does. The result is written to
+   * ui.route.actionData; when the path is not the current page, the router
+   * then navigates there. A failing action sets ui.route.error (phase 'action').
+   * @param {string} pathname
+   * @param {FormData} formData
+   * @param {Object} [opts]
+   * @param {string} [opts.search=''] - Query the action receives
+   * @returns {Promise<*>} The action's result
+   */
+  function submit(pathname, formData, opts) {
+    return track(runAction(pathname, formData, opts));
+  }
+
+  async function runAction(pathname, formData, { search = '' } = {}) {
+    const target = findAction(pathname);
+    if (!target) throw new Error('[router] No route action for: ' + pathname);
+    const searchStr = search && !search.startsWith('?') ? '?' + search : search;
+    if (actionController) actionController.abort();
+    const controller = actionController = new AbortController();
+    const { signal } = controller;
+    const { record, params, appPath } = target;
+    log('action', { path: appPath, view: record.view });
+    let result;
+    try {
+      result = await record.action({
+        formData, params, query: parseQuery(searchStr, record.querySchema), signal, store, locale: current.locale,
+      });
+    } catch (error) {
+      if (signal.aborted) return undefined;
+      if (store) {
+        try {
+          store.setMany({
+            [routeKey('actionData')]: null,
+            [routeKey('error')]: { message: error?.message ?? String(error), name: error?.name ?? 'Error', phase: 'action', path: appPath, search: searchStr },
+          });
+        } catch {}
+      }
+      throw error;
+    } finally {
+      if (actionController === controller) actionController = null;
+    }
+    if (signal.aborted) return undefined;
+    if (store) {
+      try { store.set(routeKey('actionData'), result); } catch {}
+    }
+    if (appPath !== current.path || searchStr !== current.search) {
+      await beginNavigation(pathname, { search: searchStr }, navContext({ trigger: 'submit', actionData: result }));
+    }
+    return result;
+  }
+
+  /**
+   * Navigate to a pathname, or to a named route with { name, params, query }.
+   * @param {string|Object} pathname
+   * @param {Object} [opts]
    * @param {boolean} [opts.replace=false]
    * @param {string}  [opts.search='']
+   * @param {string}  [opts.hash=''] - Fragment to scroll to after boot, e.g. '#comments'
    * @param {boolean} [opts.restoreScroll=false]
+   * @param {boolean} [opts.hydrate=false] - Attach to server-rendered markup instead of clearing it
+   * @returns {Promise<{ status: string, path: string, search: string, view?: string, error?: Error }>}
+   *   status is 'completed', 'failed', 'blocked', 'aborted', 'not-found' or 'unchanged'
+   */
+  function navigate(pathname, opts = {}) {
+    if (pathname && typeof pathname === 'object') {
+      try {
+        const { path, search } = resolveNamed(pathname);
+        return navigate(path, { ...opts, search });
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    }
+    // A mounted router navigates through its parent, which owns the URL
+    if (mountedIn) return mountedIn.navigate(pathname, opts, trigger);
+    return beginNavigation(pathname, opts, navContext());
+  }
+
+  // Run a navigation and log it to ui.route.log once it settles
+  function beginNavigation(pathname, opts, ctx) {
+    const pending = (async () => {
+      try {
+        const result = await runNavigation(pathname, opts, ctx);
+        recordNavigation(ctx, result);
+        return result;
+      } catch (error) {
+        recordNavigation(ctx, { status: 'failed', path: pathname, search: opts.search || '', error });
+        throw error;
+      } finally {
+        ctx.done = true;
+      }
+    })();
+    return track(pending);
+  }
+
+  // Keep a navigation, or a form action, pending in settled()
+  function track(pending) {
+    inFlight.add(pending);
+    pending.then(() => inFlight.delete(pending), () => inFlight.delete(pending));
+    return pending;
+  }
+
+  // Resolves once no navigation is in flight, including ones started
+  // while waiting (guard redirects, clicks, form submits, ui.route.go writes)
+  async function settled() {
+    while (inFlight.size) await Promise.allSettled([...inFlight]);
+  }
+
+  // Per-navigation context, carried through guard redirects. `entry` is the
+  // history.state of the entry being returned to on back/forward; `approved`
+  // is set once blockers have let the user leave. `timeline` collects what
+  // ui.route.log records about the navigation. `signal` (the browser's stop
+  // button) aborts it; `actionData` is the result of the action that led here.
+  function navContext(extra) {
+    const ctx = {
+      redirects: 0, blocked: null, redirectedFrom: null, direction: null, entry: null, approved: false, locale: null, actionData: null,
+      trigger: trigger || 'programmatic', ...extra,
+    };
+    ctx.timeline = {
+      id: ++navSeq, from: current.path ? current.path + current.search : null, to: null,
+      redirectedFrom: null,
+      startedAt: Date.now(), start: now(), phase: null, at: 0, timings: {}, supersededBy: null,
+    };
+    return ctx;
+  }
+
+  // What started the navigations created synchronously inside fn
+  // ('click', 'go'); anything else is 'programmatic'
+  let trigger = null;
+  function withTrigger(source, fn) {
+    trigger = source;
+    try { return fn(); } finally { trigger = null; }
+  }
+
+  // Close the running phase and start the next (null ends the timeline)
+  function phaseStart(ctx, name) {
+    const t = ctx.timeline;
+    const at = now();
+    if (t.phase) {
+      t.timings[t.phase] = (t.timings[t.phase] || 0) + (at - t.at);
+      if (debug && typeof performance !== 'undefined' && typeof performance.measure === 'function') {
+        try { performance.measure(`[router] #${t.id} ${t.phase} ${t.to}`, { start: t.at, end: at }); } catch {}
+      }
+    }
+    t.phase = name;
+    t.at = at;
+  }
+
+  // Append a settled navigation to ui.route.log (the last logMax)
+  function recordNavigation(ctx, result) {
+    const t = ctx.timeline;
+    phaseStart(ctx, null);
+    if (activeTimeline === t) activeTimeline = null;
+    if (!store || logMax <= 0) return;
+    const timings = {};
+    for (const [phase, ms] of Object.entries(t.timings)) timings[phase] = Math.round(ms * 10) / 10;
+    const error = result.error;
+    const entry = {
+      id: t.id,
+      trigger: ctx.trigger,
+      from: t.from,
+      to: result.path + (result.search || ''),
+      view: result.view ?? null,
+      status: result.status,
+      guard: result.guard ?? null,
+      redirectedFrom: t.redirectedFrom,
+      supersededBy: t.supersededBy,
+      startedAt: t.startedAt,
+      duration: Math.round((now() - t.start) * 10) / 10,
+      timings,
+      error: error ? { message: error.message ?? String(error), name: error.name ?? 'Error' } : null,
+    };
+    try { store.set(routeKey('log'), [...(store.get(routeKey('log')) || []), entry].slice(-logMax)); } catch {}
+  }
+
+  /**
+   * Block navigation away from the current page, e.g. while a form has
+   * unsaved changes. `fn(to, from, { signal })` may be async and must resolve
+   * true to let the navigation proceed. While any blocker is registered,
+   * closing or reloading the tab asks the browser's own confirmation.
+   * @param {Function} fn
+   * @returns {Function} unblock
    */
-  async function navigate(pathname, { replace = false, search = '', restoreScroll = false } = {}) {
+  function block(fn) {
+    blockers.add(fn);
+    syncBeforeUnload();
+    return () => {
+      blockers.delete(fn);
+      syncBeforeUnload();
+    };
+  }
+
+  // Publish the pending question at ui.route.blocked, so the app can render
+  // its own prompt, then map the blocker's answer onto guard semantics
+  async function askBlocker(fn, to, from, opts) {
+    if (store) {
+      try { store.set(routeKey('blocked'), { path: to.path, search: to.search, guard: 'block', redirect: null, pending: true }); } catch {}
+    }
+    return (await fn(to, from, opts)) === true ? undefined : false;
+  }
+
+  function onBeforeUnload(e) {
+    e.preventDefault();
+    e.returnValue = '';
+  }
+
+  let unloadBlocked = false;
+  function syncBeforeUnload() {
+    if (!hasDom) return;
+    const active = started && blockers.size > 0;
+    if (active === unloadBlocked) return;
+    unloadBlocked = active;
+    if (active) window.addEventListener('beforeunload', onBeforeUnload);
+    else window.removeEventListener('beforeunload', onBeforeUnload);
+  }
+
+  // Back/forward has already moved the URL when a navigation is blocked:
+  // go back to the entry we were on (its popstate is skipped)
+  function restoreEntry(entry) {
+    if (mountedIn) return;
+    const delta = typeof entry.idx === 'number' ? historyIndex - entry.idx : 0;
+    if (delta) {
+      skipPops++;
+      history.go(delta);
+    } else {
+      writeHistory(current.path + current.search + current.hash, false, null, current.background);
+    }
+  }
+
+  async function runNavigation(pathname, { replace = false, search = '', hash = '', restoreScroll = false, hydrate = false } = {}, ctx) {
     const root = getRoot();
-    const appPath = normalizePath(stripBase(pathname));
-    const resolved = resolve(appPath);
+    const hashAt = pathname.indexOf('#');
+    if (hashAt >= 0) {
+      hash = hash || pathname.slice(hashAt);
+      pathname = pathname.slice(0, hashAt);
+    }
+    if (hash && !hash.startsWith('#')) hash = '#' + hash;
+    let appPath = normalizePath(stripBase(pathname));
+    let searchStr = search && search.startsWith('?') ? search : (search ? ('?' + search) : '');
+    let redirectedFrom = ctx.redirectedFrom;
+
+    // Locale prefix: /de/users/42 routes as /users/42. A path without one
+    // stays in the current locale; the first URL without one (a link from
+    // outside) is redirected to the preferred locale.
+    let locale = null;
+    if (locales) {
+      ({ locale, path: appPath } = splitLocale(appPath, locales));
+      if (!locale) {
+        locale = ctx.locale || current.locale;
+        if (!locale) {
+          locale = preferredLocale();
+          redirectedFrom = redirectedFrom || (appPath + searchStr);
+        }
+      }
+    }
+    const localeChanged = locale !== current.locale;
+    let resolved = resolve(appPath);
+
+    // Declarative redirects swap the requested URL for the target before
+    // anything is written to history; a cycle or too many hops fails the
+    // navigation on the redirecting route
+    let redirectError = null;
+    if (resolved && resolved.matches[resolved.matches.length - 1].record.redirect) {
+      try {
+        const target = followRedirects(resolve, appPath, searchStr, MAX_REDIRECTS);
+        log('redirect', { from: appPath + searchStr, to: target.path + target.search });
+        redirectedFrom = redirectedFrom || (appPath + searchStr);
+        ({ path: appPath, search: searchStr, resolved } = target);
+      } catch (error) {
+        redirectError = error;
+      }
+    }
+
+    ctx.timeline.to = appPath + searchStr;
+    ctx.timeline.redirectedFrom = redirectedFrom || null;
 
     if (!resolved) {
       log('no route found for:', appPath);
-      return;
+      return { status: 'not-found', path: appPath, search: searchStr };
+    }
+
+    // A mounted router's level matches its prefix; the rest of the path is routed by it
+    let mountRest = null;
+    if (resolved.matches[resolved.matches.length - 1].record.mount) {
+      const { [MOUNT_PARAM]: rest = '', ...params } = resolved.params;
+      mountRest = '/' + rest;
+      resolved = { ...resolved, params };
     }
 
     const viewKey = resolved.view;
-    const component = resolved.component;
-    const searchStr = search && search.startsWith('?') ? search : (search ? ('?' + search) : '');
+    let next = resolved.matches;
+
+    // A modal route opened over a mounted page keeps that page as its
+    // background and boots only its own view, into its outlet. Loaded
+    // directly (or from history without that background) it renders full-page.
+    const leaf = next[next.length - 1];
+    let background = null;
+    if (leaf.record.modal && !hydrate && !redirectError && current.matches.length && !current.error) {
+      const url = current.background || (current.path + current.search);
+      if (!ctx.entry || ctx.entry.background === url) background = url;
+    }
+    if (background) {
+      next = [
+        ...current.matches.filter(level => !level.outlet).map(level => ({
+          record: level.record, path: level.record.fullPath, view: level.record.view,
+          component: level.record.component, params: level.params,
+        })),
+        { ...leaf, outlet: modalOutlet(leaf.record) },
+      ];
+    }
 
     log('navigate', { from: current.path, to: appPath, view: viewKey, params: resolved.params });
 
-    // Same-route no-op guard
-    if (current.path === appPath && current.search === searchStr) {
-      return;
+    // Same-route no-op guard (a failed route can always be retried).
+    // A new fragment, or another entry for the same URL, only moves the scroll.
+    if (!current.error && !localeChanged && current.path === appPath && current.search === searchStr) {
+      if (!mountedIn && (hash !== current.hash || ctx.entry)) {
+        saveScroll();
+        writeHistory(appPath + searchStr + hash, replace, ctx.entry, current.background);
+        current.hash = hash;
+        restoreOrScroll(restoreScroll, hash);
+      }
+      return { status: 'unchanged', path: appPath, search: searchStr, view: viewKey };
     }
 
-    // Abort in-flight boot
+    // Parse query params, typed by the leaf route's schema
+    const query = parseQuery(searchStr, next[next.length - 1].record.querySchema);
+
+    // Abort in-flight boot; its log entry names the navigation that replaced it
     if (navController) navController.abort();
+    if (activeTimeline && activeTimeline !== ctx.timeline) activeTimeline.supersededBy = ctx.timeline.id;
+    activeTimeline = ctx.timeline;
     navController = new AbortController();
     const { signal } = navController;
+    // The user stopped it in the browser (Navigation API back/forward)
+    if (ctx.signal?.aborted) {
+      navController.abort();
+    } else if (ctx.signal) {
+      ctx.signal.addEventListener('abort', () => {
+        if (!ctx.done && navController.signal === signal) navController.abort();
+      }, { once: true });
+    }
+    const aborted = { status: 'aborted', path: appPath, search: searchStr };
+    const direction = ctx.direction || (replace ? 'replace' : 'forward');
 
     // Transition start
-    const html = document.documentElement;
-    html.setAttribute('data-transitioning', 'on');
+    const html = hasDom && !mountedIn ? document.documentElement : null;
+    if (html) {
+      html.setAttribute('data-transitioning', 'on');
+      html.setAttribute('data-direction', direction);
+    }
     if (store) {
-      try { store.set('ui.route.transitioning', true); } catch {}
+      try { store.setMany({ [routeKey('transitioning')]: true, [routeKey('direction')]: direction }); } catch {}
     }
 
-    // Save scroll position for current route
-    if (current.path) {
-      scrollPositions.set(current.path, { x: scrollX, y: scrollY });
-      if (scrollPositions.size > 50) scrollPositions.delete(scrollPositions.keys().next().value);
+    // Leading levels with the same route and params stay mounted.
+    // When the whole chain is unchanged (query-only change) the leaf reboots,
+    // unless it is keepAlive: those views follow ui.route.query themselves.
+    // A mount level stays while the path stays under its prefix.
+    let keep = 0;
+    while (
+      keep < next.length &&
+      keep < current.matches.length &&
+      !current.matches[keep].failed &&
+      current.matches[keep].record === next[keep].record &&
+      (next[keep].record.mount || sameParams(current.matches[keep].params, next[keep].params))
+    ) keep++;
+    if (keep === next.length && keep === current.matches.length && !next[keep - 1].record.keepAlive && !next[keep - 1].record.mount) keep--;
+    // A new locale reboots every view; cached keepAlive views are in the old one
+    if (localeChanged) keep = 0;
+
+    const route = {
+      appPath, searchStr, hash, viewKey, params: resolved.params, query, next, locale,
+      replace, restoreScroll, root, redirectedFrom, entry: ctx.entry, background, actionData: ctx.actionData,
+    };
+    let phase = redirectError ? 'redirect' : 'guard';
+    let failedIndex = next.length - 1;
+    // Levels left under viewTransition, unbooted once the new views are in,
+    // and cached views taken out for re-attaching (unbooted if it stops first)
+    let leaving = [];
+    let reentered = null;
+    const reattaching = new Set();
+    const releaseLeft = async () => {
+      await unbootLevels(leaving.splice(0), reentered);
+      for (const entry of reattaching) await unbootCached(entry);
+      reattaching.clear();
+    };
+
+    try {
+      if (redirectError) throw redirectError;
+
+      // Guards: canLeave on levels being left (deepest first), beforeEach,
+      // then beforeEnter on levels being entered. Any may cancel or redirect.
+      const to = { path: appPath, search: searchStr, view: viewKey, params: resolved.params, query, locale };
+      const from = current.path
+        ? { path: current.path, search: current.search, view: current.viewKey, params: current.params, locale: current.locale }
+        : null;
+      phaseStart(ctx, 'guard');
+      const guards = [];
+      if (current.path && !ctx.approved) {
+        for (const fn of blockers) guards.push(['block', (...args) => askBlocker(fn, ...args)]);
+      }
+      for (let i = current.matches.length - 1; i >= keep; i--) {
+        if (typeof current.matches[i].canLeave === 'function') guards.push(['canLeave', current.matches[i].canLeave]);
+      }
+      if (typeof beforeEach === 'function') guards.push(['beforeEach', beforeEach]);
+      for (let i = keep; i < next.length; i++) {
+        if (typeof next[i].record.beforeEnter === 'function') guards.push(['beforeEnter', next[i].record.beforeEnter]);
+      }
+
+      for (const [guard, hook] of guards) {
+        const result = await hook(to, from, { signal });
+        if (signal.aborted) return aborted;
+        if (result === false) {
+          log('blocked', { path: appPath, guard });
+          endTransition();
+          if (store) {
+            try { store.set(routeKey('blocked'), { path: appPath, search: searchStr, guard, redirect: null }); } catch {}
+          }
+          if (ctx.entry) restoreEntry(ctx.entry);
+          return { status: 'blocked', path: appPath, search: searchStr, guard };
+        }
+        if (typeof result === 'string' || (result && typeof result === 'object')) {
+          const target = typeof result === 'string' ? { path: result } : result;
+          if (ctx.redirects >= MAX_REDIRECTS) {
+            throw new Error('[router] Too many guard redirects, last: ' + appPath + ' → ' + target.path);
+          }
+          log('redirect', { from: appPath, to: target.path, guard });
+          return runNavigation(target.path, { search: target.search || '', replace }, {
+            ...ctx,
+            redirects: ctx.redirects + 1,
+            approved: true,
+            locale,
+            blocked: { path: appPath, search: searchStr, guard, redirect: target.path },
+            redirectedFrom,
+          });
+        }
+      }
+
+      // Loaders and lazy components for entered levels resolve in parallel;
+      // kept levels keep their data. When hydrating, data comes from the
+      // server's store snapshot if it was rendered for this path.
+      // Cached keepAlive views are re-attached with the data they had.
+      phase = 'load';
+      phaseStart(ctx, 'load');
+      const snapshot = hydrate && store && store.get(routeKey('path')) === appPath
+        ? store.get(routeKey('matches')) || []
+        : [];
+      const cached = next.map((m, i) => (i >= keep && m.record.keepAlive ? viewCache.get(cacheKey(m.record, m.params)) : undefined));
+      const [loaded, components, namedViews] = await Promise.all([
+        Promise.all(next.map((m, i) => {
+          if (i < keep) return current.matches[i].data;
+          if (cached[i]) return cached[i].data;
+          if (snapshot[i] && snapshot[i].view === m.view && 'data' in snapshot[i]) return snapshot[i].data;
+          if (typeof m.record.load !== 'function') return undefined;
+          return runLoader(m.record, { params: m.params, query, url: appPath + searchStr, locale, signal });
+        })),
+        Promise.all(next.map((m, i) => (i < keep || cached[i] ? null : loadComponent(m.record.component)))),
+        Promise.all(next.map((m, i) => (i < keep ? [] : Promise.all(
+          Object.entries(m.record.components || {})
+            .filter(([name]) => name !== 'default')
+            .map(async ([name, component]) => [name, await loadComponent(component)]),
+        )))),
+      ]);
+      if (signal.aborted) return aborted;
+
+      let data;
+      for (let i = next.length - 1; i >= 0; i--) {
+        if (typeof next[i].record.load === 'function') { data = loaded[i]; break; }
+      }
+
+      // Cached views about to be re-attached leave the cache first, so
+      // caching the views being left cannot evict them
+      for (let i = keep; i < next.length; i++) {
+        if (!cached[i]) continue;
+        viewCache.delete(cacheKey(next[i].record, next[i].params));
+        reattaching.add(cached[i]);
+      }
+
+      // Save scroll position and route-scoped state for the entry being left
+      if (current.path) {
+        saveScroll();
+        saveViewState(keep, !ctx.entry && !replace && !mountedIn);
+      }
+
+      // Unboot (or cache) levels being left, deepest first. With
+      // viewTransition they stay mounted, and on screen, until the new
+      // views are swapped in; only a re-entered route's state resets now.
+      phase = 'boot';
+      phaseStart(ctx, 'unboot');
+      const dropped = keep === next.length ? current.matches[keep] : null;
+      const staging = viewTransition && !hydrate && keep < next.length;
+      if (staging) {
+        leaving = current.matches.splice(keep);
+        reentered = new Set(next.slice(keep).map(m => m.record));
+        for (const level of leaving) if (reentered.has(level.record)) resetState(level.record);
+      } else {
+        await unbootFrom(keep);
+      }
+      if (localeChanged) await clearViewCache();
+      phaseStart(ctx, 'boot');
+
+      // Entered views get their state back (back/forward) or start from initial
+      enterViewState(next, keep, ctx.entry);
+
+      // Clear the container of the first changed level (kept when hydrating).
+      // With viewTransition the old markup stays on screen instead: changed
+      // levels boot into a detached wrapper that is swapped in once ready.
+      const target = keep === next.length ? null : getContainer(next[keep], current.matches[keep - 1]);
+      let stage = null;
+      if (target && staging) stage = createViewElement(target);
+      else if (target && !hydrate) target.replaceChildren();
+
+      // Going up to a parent route boots nothing, so the parent's outlet
+      // is cleared of the child that left (modal children leave their own)
+      if (dropped && !dropped.outlet && !hydrate) getOutlet(current.matches[keep - 1]).replaceChildren();
+
+      // Boot changed levels, each into its parent's outlet. keepAlive levels
+      // get their own element so they can be detached later; cached ones are
+      // re-attached and activated instead of booted.
+      for (let i = keep; i < next.length; i++) {
+        failedIndex = i;
+        const { record, params } = next[i];
+        let container = stage || target;
+        if (i > keep) {
+          container = getContainer(next[i], current.matches[i - 1]);
+          if (!hydrate) container.replaceChildren();
+        }
+        const outletEl = next[i].outlet ? (stage ? target : container) : null;
+        let mount = toMount(null);
+        if (cached[i]) {
+          reattaching.delete(cached[i]);
+          container.appendChild(cached[i].el);
+          container = cached[i].el;
+          mount = cached[i].mount;
+          if (typeof mount.activate === 'function') await mount.activate({ params, query });
+        } else {
+          if (record.keepAlive && !hydrate) container = container.appendChild(createViewElement(container));
+          const component = components[i];
+          if (component && typeof component.boot === 'function') {
+            mount = toMount(await component.boot({ store, el: container, signal, params, data: loaded[i], hydrate, locale }));
+          }
+        }
+
+        const level = { record, params, ...mount, el: container, data: loaded[i], outlet: next[i].outlet, outletEl, views: [] };
+
+        // Views for the route's named outlets boot after its main view
+        for (const [name, component] of namedViews[i]) {
+          if (signal.aborted) break;
+          const el = getNamedOutlet(name, current.matches[i - 1]);
+          if (!hydrate) el.replaceChildren();
+          const view = { name, el, ...toMount(null) };
+          level.views.push(view);
+          if (component && typeof component.boot === 'function') {
+            Object.assign(view, toMount(await component.boot({ store, el, signal, params, data: loaded[i], hydrate, locale })));
+          }
+        }
+
+        // Guard: if navigation was superseded during boot, undo it and bail out
+        if (signal.aborted) {
+          await unbootLevel(level);
+          await releaseLeft();
+          return aborted;
+        }
+        current.matches.push(level);
+      }
+
+      // A mounted router routes the rest of the path inside its level. While
+      // its level stays, it can block like any guard; its own error view
+      // counts as a failed navigation.
+      let mountFailure = null;
+      if (mountRest !== null) {
+        phaseStart(ctx, 'mount');
+        const { mount } = next[next.length - 1].record;
+        const sub = await mount.run(mountRest, { search: searchStr, hash, replace, restoreScroll, hydrate }, {
+          direction, entry: ctx.entry, trigger: ctx.trigger,
+        });
+        if (signal.aborted || sub.status === 'aborted') {
+          await releaseLeft();
+          return aborted;
+        }
+        if (sub.status === 'blocked' && keep === next.length) {
+          endTransition();
+          if (ctx.entry) restoreEntry(ctx.entry);
+          return { status: 'blocked', path: appPath, search: searchStr, guard: sub.guard };
+        }
+        if (sub.status === 'blocked' || sub.status === 'not-found') {
+          throw new Error(`[router] ${sub.status === 'blocked' ? 'Blocked' : 'No route for'} ${mountRest} in router mounted at ${mount.prefix}`);
+        }
+        if (sub.status === 'failed') mountFailure = sub.error;
+        appPath = mount.join(sub.path);
+        searchStr = sub.search;
+        Object.assign(route, { appPath, searchStr, viewKey: sub.view ?? viewKey, mountMeta: sub.meta });
+      }
+
+      if (stage) {
+        await swapView(target, stage);
+        await releaseLeft();
+        if (localeChanged) await clearViewCache();
+      }
+
+      commitRoute(route, {
+        matches: next.map((m, i) => ({ path: m.path, view: m.view, params: m.params, data: loaded[i] })),
+        data,
+        blocked: ctx.blocked,
+        error: null,
+      });
+      log('routed', { view: route.viewKey, path: appPath, params: resolved.params, query });
+      if (mountFailure) {
+        current.error = mountFailure;
+        return { status: 'failed', path: appPath, search: searchStr, view: route.viewKey, error: mountFailure };
+      }
+      return { status: 'completed', path: appPath, search: searchStr, view: route.viewKey };
+    } catch (error) {
+      await releaseLeft();
+      if (signal.aborted) return aborted;
+      log('failed', { path: appPath, phase, error });
+      phaseStart(ctx, 'error');
+      await mountError(error, { route, keep, failedIndex, signal });
+      if (signal.aborted) return aborted;
+      commitRoute(route, {
+        matches: next.map(m => ({ path: m.path, view: m.view, params: m.params })),
+        data: undefined,
+        blocked: ctx.blocked,
+        error: { message: error?.message ?? String(error), name: error?.name ?? 'Error', phase, path: appPath, search: searchStr },
+      });
+      current.error = error;
+      return { status: 'failed', path: appPath, search: searchStr, view: viewKey, error };
     }
+  }
 
-    // Unboot previous view
-    if (typeof current.unboot === 'function') {
-      try { await current.unboot(); } catch {}
+  // Put a detached view in place, inside a view transition when supported
+  async function swapView(target, stage) {
+    const update = () => target.replaceChildren(stage);
+    if (hasDom && typeof document.startViewTransition === 'function') {
+      await document.startViewTransition(update).updateCallbackDone;
+    } else {
+      update();
     }
+  }
+
+  // Unboot mounted levels deeper than `keep`, deepest first.
+  // keepAlive views are deactivated and cached instead; their markup leaves
+  // the page when the container is cleared.
+  async function unbootFrom(keep) {
+    await unbootLevels(current.matches.splice(keep));
+  }
 
-    // Clear root
-    root.replaceChildren();
+  // Levels taken out of current.matches, deepest first. Routes in
+  // `keepState` were entered again, so their state is not reset.
+  async function unbootLevels(levels, keepState = null) {
+    for (const level of levels.reverse()) {
+      await unbootViews(level);
+      if (level.record.keepAlive && !level.failed && level.el.hasAttribute('data-route-view')) {
+        await cacheView(level);
+        continue;
+      }
+      if (typeof level.unboot === 'function') {
+        try { await level.unboot(); } catch {}
+      }
+      if (!keepState?.has(level.record)) resetState(level.record);
+    }
+  }
 
-    // Boot new view
-    let unboot = null;
-    if (component && typeof component.boot === 'function') {
-      unboot = await component.boot({ store, el: root, signal, params: resolved.params });
+  async function unbootLevel(level) {
+    await unbootViews(level);
+    if (typeof level.unboot === 'function') {
+      try { await level.unboot(); } catch {}
     }
+  }
 
-    // Guard: if navigation was superseded during boot, bail out
-    if (signal.aborted) return;
+  // Named outlet views always unboot with their level (keepAlive caches the main view only)
+  async function unbootViews(level) {
+    for (const view of (level.views || []).reverse()) {
+      if (typeof view.unboot === 'function') {
+        try { await view.unboot(); } catch {}
+      }
+    }
+    level.views = [];
+  }
 
-    const prevViewKey = current.viewKey;
-    current = { viewKey, unboot, path: appPath, search: searchStr };
+  async function cacheView(level) {
+    const { record, params, el, data, unboot, canLeave, activate, deactivate } = level;
+    if (typeof deactivate === 'function') {
+      try { await deactivate(); } catch {}
+    }
+    const key = cacheKey(record, params);
+    const stale = viewCache.get(key);
+    viewCache.delete(key);
+    viewCache.set(key, { el, data, mount: { unboot, canLeave, activate, deactivate } });
+    if (stale) await unbootCached(stale);
+    while (viewCache.size > keepAliveMax) {
+      const oldest = viewCache.keys().next().value;
+      const entry = viewCache.get(oldest);
+      viewCache.delete(oldest);
+      await unbootCached(entry);
+    }
+  }
 
-    // Parse query params
-    const fullUrl = new URL(location.origin + withBase(appPath) + searchStr);
-    const query = {};
-    fullUrl.searchParams.forEach((v, k) => { query[k] = v; });
+  async function clearViewCache() {
+    const entries = [...viewCache.values()];
+    viewCache.clear();
+    for (const entry of entries) await unbootCached(entry);
+  }
+
+  async function unbootCached(entry) {
+    if (typeof entry.mount.unboot === 'function') {
+      try { await entry.mount.unboot(); } catch {}
+    }
+  }
+
+  // Boot the nearest error component in place of the levels that failed:
+  // the failed route's, then its ancestors', then the global one.
+  async function mountError(error, { route, keep, failedIndex, signal }) {
+    const { next, root, appPath, searchStr } = route;
+    let container = root;
+    if (keep > 0 && keep < next.length) {
+      try { container = getContainer(next[keep], current.matches[keep - 1]); } catch { keep = 0; }
+    } else if (keep > 0) {
+      keep = 0;
+    }
+    await unbootFrom(keep);
+    container.replaceChildren();
+
+    let component = errorComponent;
+    for (let i = failedIndex; i >= 0; i--) {
+      if (next[i].record.errorComponent) { component = next[i].record.errorComponent; break; }
+    }
+    const level = next[Math.min(keep, next.length - 1)];
+    const retry = () => navigate(appPath, { search: searchStr, replace: true });
+    let mount = toMount(null);
+    try {
+      component = await loadComponent(component);
+      if (component && typeof component.boot === 'function') {
+        mount = toMount(await component.boot({ store, el: container, signal, error, params: next[failedIndex].params, retry }));
+      }
+    } catch (err) {
+      log('error view failed', err);
+    }
+    const outlet = keep > 0 ? level.outlet : undefined;
+    current.matches.push({
+      record: level.record, params: level.params, ...mount, el: container, failed: true,
+      outlet, outletEl: outlet ? container : null, views: [],
+    });
+  }
+
+  // Publish a finished navigation: store, history, <html> hooks, nav, focus, scroll
+  function commitRoute(route, { matches, data, blocked, error }) {
+    const {
+      appPath, searchStr, hash, viewKey, params, query, locale, replace, restoreScroll, root, redirectedFrom, entry, background, actionData,
+    } = route;
+    // Back on the page that was under a modal: the page keeps its scroll
+    const closedModal = current.background === appPath + searchStr;
+    current.viewKey = viewKey;
+    current.path = appPath;
+    current.search = searchStr;
+    current.hash = hash;
+    current.params = params;
+    current.locale = locale;
+    current.error = null;
+    current.background = background || null;
+    const outlets = syncOutlets();
+    let meta = {};
+    try {
+      meta = { ...resolveMeta(route.next, { query, data: matches.map(m => m.data) }), ...route.mountMeta };
+    } catch (err) {
+      log('meta failed', err);
+    }
+    current.meta = meta;
 
     // Update store with route state + end transition atomically
     if (store) {
       try {
         store.setMany({
-          'ui.route.view': viewKey,
-          'ui.route.path': appPath,
-          'ui.route.params': resolved.params || {},
-          'ui.route.query': query,
-          'ui.route.transitioning': false,
+          [routeKey('view')]: viewKey,
+          [routeKey('path')]: appPath,
+          [routeKey('params')]: params || {},
+          [routeKey('query')]: query,
+          [routeKey('matches')]: matches,
+          [routeKey('data')]: data,
+          [routeKey('blocked')]: blocked,
+          [routeKey('error')]: error,
+          [routeKey('redirectedFrom')]: redirectedFrom || null,
+          [routeKey('outlets')]: outlets,
+          [routeKey('meta')]: meta,
+          [routeKey('background')]: background || null,
+          [routeKey('locale')]: locale,
+          [routeKey('actionData')]: actionData ?? null,
+          [routeKey('transitioning')]: false,
         });
       } catch {}
     }
 
-    // Update browser history
-    const useReplace = replace;
-    if (useReplace) history.replaceState({}, '', withBase(appPath) + searchStr);
-    else history.pushState({}, '', withBase(appPath) + searchStr);
+    // A mounted router leaves the URL and the page to its parent
+    if (mountedIn) return;
+
+    // Update history
+    writeHistory(appPath + searchStr + hash, replace, entry, background);
 
     // Set view attribute on <html> for CSS hooks
-    html.setAttribute('data-view', viewKey);
-    html.setAttribute('data-transitioning', 'off');
+    if (hasDom) {
+      const html = document.documentElement;
+      html.setAttribute('data-view', viewKey);
+      html.setAttribute('data-transitioning', 'off');
+      if (locale) html.setAttribute('lang', locale);
+    }
 
     // Update nav active state
     setActiveNav(appPath);
+    observeLinks();
+
+    // Title, meta tags and the screen-reader announcement
+    applyMeta(meta, { path: appPath, view: viewKey });
+
+    // Focus management (accessibility): the modal's outlet when one opened
+    const focusEl = background ? current.matches[current.matches.length - 1].outletEl : root;
+    if (!focusEl.hasAttribute('tabindex')) focusEl.setAttribute('tabindex', '-1');
+    try { focusEl.focus({ preventScroll: true }); } catch {}
+
+    // Scroll (the page under a modal stays where it is)
+    if (!background && !closedModal) restoreOrScroll(restoreScroll, hash);
+  }
+
+  // The page's document, or the root's when there is no global one (the test DOM)
+  function getDocument() {
+    if (hasDom) return document;
+    try { return getRoot().ownerDocument || null; } catch { return null; }
+  }
+
+  // Set document.title and the <meta> tags a route declares. A title or tag
+  // the route leaves out goes back to the page's own (tags the router added
+  // are removed). After the first navigation, the new page is announced.
+  const initialMeta = new Map();
+  let initialTitle = null;
+  let announcer = null;
+  let navigated = false;
+  function applyMeta(meta, { path, view }) {
+    const doc = getDocument();
+    if (!doc?.head) return;
+    if (initialTitle === null) initialTitle = doc.title;
+    doc.title = typeof meta.title === 'string' ? meta.title : initialTitle;
+    for (const name of META_TAGS) {
+      let tag = doc.head.querySelector(`meta[name="${name}"]`);
+      if (!initialMeta.has(name)) initialMeta.set(name, tag ? tag.getAttribute('content') : null);
+      const value = meta[name] ?? initialMeta.get(name);
+      if (value === null || value === undefined) {
+        if (tag) tag.remove();
+        continue;
+      }
+      if (!tag) {
+        tag = doc.createElement('meta');
+        tag.setAttribute('name', name);
+        doc.head.appendChild(tag);
+      }
+      tag.setAttribute('content', String(value));
+    }
+
+    if (!navigated) { navigated = true; return; }
+    if (!announce) return;
+    const title = doc.title;
+    const text = typeof announce === 'function' ? announce({ title, path, view, meta }) : title;
+    if (!text) return;
+    if (!announcer) {
+      announcer = doc.createElement('div');
+      announcer.setAttribute('data-route-announcer', '');
+      announcer.setAttribute('aria-live', 'polite');
+      announcer.setAttribute('aria-atomic', 'true');
+      announcer.setAttribute('style',
+        'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0');
+      doc.body.appendChild(announcer);
+    }
+    announcer.textContent = text;
+  }
 
-    // Focus management (accessibility)
-    if (!root.hasAttribute('tabindex')) root.setAttribute('tabindex', '-1');
-    try { root.focus({ preventScroll: true }); } catch {}
+  // Clear named outlets that are no longer filled, show <dialog> outlets
+  // that are, and describe every outlet for ui.route.outlets
+  function syncOutlets() {
+    const state = {};
+    for (const name of outletNames) state[name] = null;
+    const filled = new Map();
+    for (const level of current.matches) {
+      const desc = { view: level.record.view, path: level.record.fullPath, params: level.params };
+      if (level.outlet) {
+        filled.set(level.outlet, level.outletEl);
+        state[level.outlet] = desc;
+      } else {
+        state.default = desc;
+      }
+      for (const view of level.views || []) {
+        filled.set(view.name, view.el);
+        state[view.name] = desc;
+      }
+    }
+    for (const [name, el] of current.outlets) {
+      if (filled.get(name) === el) continue;
+      el.replaceChildren();
+      if (typeof el.close === 'function' && el.open) el.close();
+    }
+    for (const [name, el] of filled) {
+      if (typeof el.showModal !== 'function' || el.open) continue;
+      el.showModal();
+      // Closed by the user (Esc): leave the modal route
+      el.addEventListener('close', () => {
+        if (current.outlets.get(name) === el && current.background) history.back();
+      }, { once: true });
+    }
+    current.outlets = filled;
+    return state;
+  }
 
-    // Scroll
-    if (restoreScroll) {
-      const pos = scrollPositions.get(appPath);
-      if (pos) scrollTo(pos.x, pos.y);
+  // Write a URL to history. Replacing keeps the entry's idx and key (or
+  // adopts those of the entry returned to, with its state snapshots);
+  // pushing starts a new entry.
+  // A modal route's entry also records the URL of its background page.
+  function writeHistory(url, replace, entry, background) {
+    if (replace) {
+      if (entry) {
+        historyIndex = entry.idx ?? historyIndex;
+        historyKey = entry.key || createKey();
+      }
+      historyKey = historyKey || createKey();
+      history.replace(withLocale(url, current.locale), entryState(background, entry?.views));
     } else {
-      scrollTo(0, 0);
+      historyIndex++;
+      historyKey = createKey();
+      history.push(withLocale(url, current.locale), entryState(background));
+    }
+  }
+
+  // history.state for the current entry: { idx, key, background?, views? }
+  function entryState(background, views) {
+    const state = { idx: historyIndex, key: historyKey };
+    if (background) state.background = background;
+    if (views) state.views = views;
+    return state;
+  }
+
+  // Snapshot the route-scoped state of levels deeper than `keep` for the
+  // current entry. Back/forward has already left the entry when this runs,
+  // so snapshots are kept by entry key (last 50); when `persist` is set the
+  // entry is still current and its history.state gets them too.
+  function saveViewState(keep, persist) {
+    const key = mountedIn ? mountedIn.entryKey() : historyKey;
+    if (!store || !key) return;
+    const views = {};
+    for (let i = keep; i < current.matches.length; i++) {
+      const scope = !current.matches[i].failed && stateScope(current.matches[i].record);
+      if (scope) views[scope.path] = store.get(scope.path);
+    }
+    if (!Object.keys(views).length) return;
+    try {
+      const snapshot = cloneState(views);
+      viewStates.delete(key);
+      viewStates.set(key, snapshot);
+      if (viewStates.size > 50) viewStates.delete(viewStates.keys().next().value);
+      if (persist) {
+        history.replace(withLocale(current.path + current.search + current.hash, current.locale), entryState(current.background, snapshot));
+      }
+    } catch (err) {
+      log('state snapshot failed', err);
     }
+  }
 
-    log('routed', { view: viewKey, path: appPath, params: resolved.params, query });
+  // Before entered levels boot, write back the snapshots of the entry
+  // returned to, or the initial value where the subtree is still empty
+  function enterViewState(next, keep, entry) {
+    if (!store) return;
+    const views = entry ? (viewStates.get(entry.key) || entry.views) : null;
+    for (let i = keep; i < next.length; i++) {
+      const scope = stateScope(next[i].record);
+      if (!scope) continue;
+      try {
+        if (views && scope.path in views) store.set(scope.path, cloneState(views[scope.path]));
+        else if (scope.initial !== undefined && store.get(scope.path) === undefined) store.set(scope.path, cloneState(scope.initial));
+      } catch {}
+    }
+  }
+
+  // A left view's state goes back to its initial value (undefined by default)
+  function resetState(record) {
+    const scope = stateScope(record);
+    if (!scope || !store) return;
+    try { store.set(scope.path, cloneState(scope.initial)); } catch {}
+  }
+
+  function readScrollPositions() {
+    try {
+      return JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || [];
+    } catch { return []; }
+  }
+
+  function getScrollContainer() {
+    if (!scrollContainer) return null;
+    if (typeof scrollContainer !== 'string') return scrollContainer;
+    return hasDom ? document.querySelector(scrollContainer) : null;
+  }
+
+  // Without a document, only a scrollContainer element is scrolled
+  function canScroll() {
+    return hasDom || Boolean(getScrollContainer());
+  }
+
+  // Save the current entry's scroll position (last 50 entries, kept in sessionStorage)
+  function saveScroll() {
+    if (!canScroll() || !historyKey || mountedIn) return;
+    const el = getScrollContainer();
+    scrollPositions.delete(historyKey);
+    scrollPositions.set(historyKey, el ? { x: el.scrollLeft, y: el.scrollTop } : { x: scrollX, y: scrollY });
+    if (scrollPositions.size > 50) scrollPositions.delete(scrollPositions.keys().next().value);
+    try { sessionStorage.setItem(SCROLL_STORAGE_KEY, JSON.stringify([...scrollPositions])); } catch {}
+  }
+
+  function scrollToPosition(x, y) {
+    const el = getScrollContainer();
+    if (el) el.scrollTo(x, y);
+    else scrollTo(x, y);
+  }
+
+  // Back/forward restores the entry's saved position; otherwise scroll to
+  // the #fragment target if there is one, else to the top
+  function restoreOrScroll(restoreScroll, hash) {
+    if (!canScroll()) return;
+    const pos = restoreScroll && scrollPositions.get(historyKey);
+    if (pos) return scrollToPosition(pos.x, pos.y);
+    if (hash && hash !== '#') {
+      let id = hash.slice(1);
+      try { id = decodeURIComponent(id); } catch {}
+      const target = hasDom
+        ? document.getElementById(id)
+        : [...getRoot().querySelectorAll('[id]')].find(el => el.getAttribute('id') === id);
+      if (target) return target.scrollIntoView();
+    }
+    if (!restoreScroll) scrollToPosition(0, 0);
+  }
+
+  function currentQuerySchema() {
+    const leaf = current.matches[current.matches.length - 1];
+    return leaf ? leaf.record.querySchema : {};
   }
 
   /**
    * Patch query parameters without changing the path.
-   * Pass null/undefined/'' as a value to remove a key.
+   * Pass null/undefined/'' as a value to remove a key. Arrays become
+   * repeated keys; schema keys with omitDefault are dropped at their default.
    */
   function navigateQuery(patch = {}, { replace = true } = {}) {
+    const schema = currentQuerySchema();
     const params = new URLSearchParams(current.search?.replace(/^\?/, '') || '');
     for (const [k, v] of Object.entries(patch)) {
-      if (v === null || v === undefined || v === '') params.delete(k);
-      else params.set(k, String(v));
+      params.delete(k);
+      if (v === null || v === undefined || v === '') continue;
+      const spec = schema[k] && toQuerySpec(schema[k]);
+      if (spec?.omitDefault && sameValue(v, spec.default)) continue;
+      for (const item of Array.isArray(v) ? v : [v]) params.append(k, String(item));
     }
     const searchStr = params.toString();
     const prefixed = searchStr ? ('?' + searchStr) : '';
-    const path = current.path || normalizePath(stripBase(location.pathname));
+    const path = current.path || normalizePath(history.location.pathname);
     return navigate(path, { search: prefixed, replace });
   }
 
+  /**
+   * Keep a store path and a query key in sync both ways: the URL value is
+   * written to the store after each navigation, and store writes patch the
+   * URL through navigateQuery(). On bind, a value already in the URL wins;
+   * otherwise the store's value is written to the URL.
+   * @param {string} storePath - e.g. 'ui.users.filter.page'
+   * @param {string} key       - Query key, e.g. 'page'
+   * @param {Object} [opts]
+   * @param {boolean} [opts.replace=true]
+   * @returns {Function} unbind
+   */
+  function bindQuery(storePath, key, { replace = true } = {}) {
+    if (!store) throw new Error('[router] bindQuery requires a store');
+    let syncing = false;
+
+    function toStore(query) {
+      const value = query ? query[key] : undefined;
+      if (sameValue(store.get(storePath), value)) return;
+      syncing = true;
+      try { store.set(storePath, value); } finally { syncing = false; }
+    }
+
+    const unsubQuery = store.subscribe(routeKey('query'), toStore);
+    const unsubPath = store.subscribe(storePath, (value) => {
+      if (syncing) return;
+      const query = store.get(routeKey('query')) || {};
+      if (!sameValue(query[key], value)) navigateQuery({ [key]: value }, { replace }).catch(() => {});
+    });
+
+    if (current.path) {
+      const query = store.get(routeKey('query')) || {};
+      if (query[key] !== undefined) toStore(query);
+      else if (store.get(storePath) !== undefined) navigateQuery({ [key]: store.get(storePath) }, { replace }).catch(() => {});
+    }
+
+    return () => { unsubQuery(); unsubPath(); };
+  }
+
   /**
    * Navigate to a new path, keeping the current search string.
    * @param {string} path
@@ -279,52 +1640,242 @@ export function createRouter(config) {
     return navigate(appPath, { search: searchStr, replace });
   }
 
+  // App location for an intercepted same-origin link, or null
+  function linkUrl(a) {
+    const href = a.getAttribute('href');
+    if (!href) return null;
+    return history.parse(href);
+  }
+
+  function prefetchStrategy(a) {
+    return a.getAttribute('data-prefetch') || prefetch;
+  }
+
+  function prefetchLink(a) {
+    const url = linkUrl(a);
+    if (url) prefetchRoute(url.pathname, { search: url.search }).catch(() => {});
+  }
+
   // Event handlers
   function onClick(e) {
     const a = e.target.closest(linkSelector);
     if (!a) return;
     if (e.defaultPrevented) return;
     if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || e.button !== 0) return;
-    const href = a.getAttribute('href');
-    if (!href) return;
-    const url = new URL(href, location.href);
-    if (url.origin !== location.origin) return;
+    const url = linkUrl(a);
+    if (!url) return;
     e.preventDefault();
-    log('click', { href, text: a.textContent.trim() });
-    navigate(url.pathname, { search: url.search }).catch(() => {});
+    log('click', { href: a.getAttribute('href'), text: a.textContent.trim() });
+    withTrigger('click', () => navigate(url.pathname, { search: url.search, hash: url.hash })).catch(() => {});
+  }
+
+  // Forms matching formSelector: GET navigates with the fields as the query,
+  // POST runs the target route's action (others submit natively)
+  function onSubmit(e) {
+    const form = e.target.closest?.(formSelector);
+    if (!form || e.defaultPrevented) return;
+    const submitter = e.submitter || null;
+    const method = (submitter?.getAttribute('formmethod') || form.getAttribute('method') || 'get').toLowerCase();
+    const url = history.parse(submitter?.getAttribute('formaction') || form.getAttribute('action') || '');
+    if (!url) return;
+    const formData = readForm(form, submitter);
+    if (method === 'get') {
+      e.preventDefault();
+      log('submit', { method, path: url.pathname });
+      withTrigger('submit', () => navigate(url.pathname, { search: formSearch(formData) })).catch(() => {});
+    } else if (method === 'post' && findAction(url.pathname)) {
+      e.preventDefault();
+      log('submit', { method, path: url.pathname });
+      submit(url.pathname, formData, { search: url.search }).catch(() => {});
+    }
+  }
+
+  // Navigation API: links, forms, location.assign() and back/forward all
+  // arrive here. Pushes and replaces are cancelled and run through navigate(),
+  // which writes history once the route has booted. Back/forward is
+  // intercepted, so the browser shows it loading and its stop button aborts it.
+  function onNavigate(nav) {
+    const { source } = nav;
+    const form = source && (source.tagName === 'FORM' ? source : source.form) || null;
+    if (form ? !form.matches(formSelector) : source && !source.closest(linkSelector)) return;
+    if (nav.type === 'traverse') {
+      if (skipPops) { skipPops--; return; }
+      nav.intercept(() => onPop(history.location, { direction: nav.direction, signal: nav.signal }));
+      return;
+    }
+    // location.assign() and the like: only paths with a route of their own.
+    // Anything else (a server URL such as /logout) loads from the server.
+    if (!source) {
+      const { resolved } = resolveTarget(nav.pathname);
+      if (!resolved || resolved.fallback) return;
+    }
+    if (nav.formData) {
+      if (!findAction(nav.pathname)) return;
+      nav.cancel();
+      submit(nav.pathname, nav.formData, { search: nav.search }).catch(() => {});
+      return;
+    }
+    nav.cancel();
+    const opts = { search: nav.search, hash: nav.hash, replace: nav.type === 'replace' };
+    const cause = form ? 'submit' : source ? 'click' : null;
+    withTrigger(cause, () => navigate(nav.pathname, opts)).catch(() => {});
+  }
+
+  function onIntent(e) {
+    const a = e.target.closest?.(linkSelector);
+    if (a && prefetchStrategy(a) === 'intent') prefetchLink(a);
+  }
+
+  // Viewport prefetching: observe links as they are rendered (in the root
+  // element when there is no document)
+  let viewportObserver = null;
+  function observeLinks() {
+    const scope = hasDom ? document : rootElement;
+    if (!viewportObserver || !scope) return;
+    scope.querySelectorAll(linkSelector).forEach(a => {
+      if (prefetchStrategy(a) === 'viewport') viewportObserver.observe(a);
+    });
   }
 
-  function onPop() {
-    navigate(location.pathname, {
+  // Back/forward: the entry's idx tells which way the user went. The
+  // Navigation API passes the direction it knows, and a signal that aborts
+  // when the user stops the traversal.
+  let skipPops = 0;
+  function onPop(loc, { direction = null, signal = null } = {}) {
+    if (skipPops) { skipPops--; return; }
+    const entry = loc.state || {};
+    if (!direction) direction = typeof entry.idx === 'number' && entry.idx > historyIndex ? 'forward' : 'back';
+    const ctx = navContext({ direction, entry, trigger: 'pop', signal });
+    return beginNavigation(loc.pathname, {
       replace: true,
-      search: location.search,
+      search: loc.search,
+      hash: loc.hash,
       restoreScroll: true,
-    }).catch(() => {});
+    }, ctx).then((result) => {
+      // Stopped in the browser: the URL has moved, so return to the page still
+      // shown. No newer navigation owns the transition, so it ends here.
+      if (signal?.aborted && result.status === 'aborted' && ctx.timeline.id === navSeq) {
+        endTransition();
+        restoreEntry(entry);
+      }
+    }, () => {});
+  }
+
+  // Keep the current entry's scroll position and route-scoped state across reloads
+  function onPageHide() {
+    saveScroll();
+    saveViewState(0, true);
   }
 
+  let unlisten = null;
+
   // Store-driven navigation: write ui.route.go to navigate from anywhere
   let unsubGo = null;
   let processingGo = false;
-  if (store) {
-    unsubGo = store.subscribe('ui.route.go', (value) => {
+
+  // Store-driven blocking: a truthy ui.route.block (true or a message)
+  // blocks with window.confirm until it is cleared
+  let unsubBlock = null;
+  let unblockStore = null;
+
+  // (Re)subscribe under the current namespace
+  function subscribeStore() {
+    if (!store) return;
+    if (unsubBlock) unsubBlock();
+    if (unsubGo) unsubGo();
+    unsubBlock = store.subscribe(routeKey('block'), (value) => {
+      if (unblockStore) { unblockStore(); unblockStore = null; }
+      if (!value) return;
+      const message = typeof value === 'string' ? value : 'Leave this page? Changes you made may not be saved.';
+      unblockStore = block(() => !hasDom || window.confirm(message));
+    });
+    unsubGo = store.subscribe(routeKey('go'), (value) => {
       if (processingGo || !value) return;
       processingGo = true;
-      try { store.set('ui.route.go', null); } catch {}
+      try { store.set(routeKey('go'), null); } catch {}
       processingGo = false;
-
-      if (typeof value === 'string') {
-        navigate(value).catch(() => {});
-      } else if (typeof value === 'object') {
-        if (!value.path && value.query) {
-          navigateQuery(value.query, { replace: value.replace ?? true }).catch(() => {});
-        } else {
-          navigate(value.path || '/', {
-            search: value.search || '',
-            replace: value.replace || false,
-          }).catch(() => {});
+      withTrigger('go', () => {
+        if (typeof value === 'string') {
+          navigate(value).catch(() => {});
+        } else if (typeof value === 'object') {
+          if (value.name) {
+            navigate(value, { replace: value.replace || false }).catch(() => {});
+          } else if (!value.path && value.query) {
+            navigateQuery(value.query, { replace: value.replace ?? true }).catch(() => {});
+          } else {
+            navigate(value.path || '/', {
+              search: value.search || '',
+              hash: value.hash || '',
+              replace: value.replace || false,
+            }).catch(() => {});
+          }
         }
-      }
+      });
+    });
+  }
+  subscribeStore();
+
+  /**
+   * Mount another router under a static path prefix. Paths under the prefix
+   * are routed by the child: the parent strips the prefix, boots the child
+   * into the mount level (or into the outlet of the route at the prefix,
+   * when there is one) and writes the URL. The child publishes its state
+   * under its own namespace and needs no start().
+   * @param {string} prefix - e.g. '/admin'
+   * @param {Object} child  - A router from createRouter
+   * @returns {Object} this router
+   */
+  function mount(prefix, child) {
+    const base = normalizePath(prefix);
+    if (base === '/' || /[:*(]/.test(base)) throw new Error('[router] Mount prefix must be a static path: ' + prefix);
+    const api = child && child[MOUNT];
+    if (!api) throw new Error('[router] mount() expects a router from createRouter');
+    const join = path => (path === '/' ? base : base + path);
+
+    api.attach({
+      prefix: base,
+      namespace: namespace + '.' + base.slice(1).split('/').join('.'),
+      parentNamespace: namespace,
+      navigate: (path, opts, source) => withTrigger(source, () => navigate(join(path), opts)),
+      entryKey: () => historyKey,
+      history: {
+        base: '',
+        get location() {
+          const loc = history.location;
+          const { path } = splitLocale(normalizePath(stripBase(loc.pathname)), locales);
+          return { ...loc, pathname: path.startsWith(base) ? (path.slice(base.length) || '/') : '/' };
+        },
+        createHref: url => history.createHref(withLocale(url.startsWith('/?') || url.startsWith('/#') ? base + url.slice(1) : join(url), current.locale)),
+      },
     });
+
+    // A route at the prefix becomes the child's layout; its own match gives way to the mount
+    const layout = matcher.records.find(record => record.fullPath === base && !record.aliasOf && record.component);
+    const [record] = compileRoutes([{
+      path: layout ? '*' + MOUNT_PARAM : base + '/*' + MOUNT_PARAM,
+      mount: { prefix: base, join, run: api.run },
+      component: {
+        boot({ el }) {
+          api.setRoot(el);
+          return { unboot: api.detach, canLeave: api.leave };
+        },
+      },
+    }], layout || null);
+    matcher.setRecords([...matcher.records.filter(r => r !== layout), record]);
+    return this;
+  }
+
+  // Guards for leaving a mounted router's section: its blockers, then its views' canLeave
+  async function leaveMounted(to, from, opts) {
+    const guards = [...blockers].map(fn => (...args) => askBlocker(fn, ...args));
+    for (let i = current.matches.length - 1; i >= 0; i--) {
+      if (typeof current.matches[i].canLeave === 'function') guards.push(current.matches[i].canLeave);
+    }
+    for (const hook of guards) {
+      const result = await hook(to, from, opts);
+      if (result === false || typeof result === 'string' || (result && typeof result === 'object')) return result;
+    }
+    return undefined;
   }
 
   // Public API
@@ -332,34 +1883,181 @@ export function createRouter(config) {
     navigate,
     navigateQuery,
     navigatePath,
+    bindQuery,
+    href,
+    block,
+    setLocale,
+    submit,
+
+    prefetch: prefetchRoute,
 
-    start() {
-      window.addEventListener('click', onClick);
-      window.addEventListener('popstate', onPop);
-      navigate(location.pathname, {
+    /**
+     * Start listening and route the current URL.
+     * @param {Object} [opts]
+     * @param {boolean} [opts.hydrate=false] - Boot views over server-rendered markup
+     */
+    start({ hydrate = false } = {}) {
+      if (mountedIn) throw new Error('[router] A mounted router is started by its parent');
+      started = true;
+      syncBeforeUnload();
+      // With the Navigation API, its navigate event replaces click, submit and popstate
+      const intercepting = typeof history.intercept === 'function';
+      if (hasDom) {
+        if (!intercepting) {
+          window.addEventListener('click', onClick);
+          window.addEventListener('submit', onSubmit);
+        }
+        window.addEventListener('mouseover', onIntent);
+        window.addEventListener('focusin', onIntent);
+        window.addEventListener('pagehide', onPageHide);
+      } else if (rootElement?.addEventListener) {
+        // Without a window, links and forms are intercepted inside the root element
+        if (!intercepting) {
+          rootElement.addEventListener('click', onClick);
+          rootElement.addEventListener('submit', onSubmit);
+        }
+        rootElement.addEventListener('mouseover', onIntent);
+        rootElement.addEventListener('focusin', onIntent);
+      }
+      unlisten = intercepting ? history.intercept(onNavigate) : history.listen(onPop);
+      if (typeof IntersectionObserver === 'function' && (hasDom || rootElement)) {
+        viewportObserver = new IntersectionObserver(entries => {
+          for (const entry of entries) {
+            if (!entry.isIntersecting) continue;
+            viewportObserver.unobserve(entry.target);
+            prefetchLink(entry.target);
+          }
+        });
+        observeLinks();
+      }
+      const loc = history.location;
+      beginNavigation(loc.pathname, {
         replace: true,
-        search: location.search,
+        search: loc.search,
+        hash: loc.hash,
         restoreScroll: true,
-      });
+        hydrate,
+      }, navContext({ entry: loc.state || {}, trigger: 'start' }));
       return this;
     },
 
     stop() {
-      window.removeEventListener('click', onClick);
-      window.removeEventListener('popstate', onPop);
+      if (hasDom) {
+        window.removeEventListener('click', onClick);
+        window.removeEventListener('submit', onSubmit);
+        window.removeEventListener('mouseover', onIntent);
+        window.removeEventListener('focusin', onIntent);
+        window.removeEventListener('pagehide', onPageHide);
+      } else if (rootElement?.removeEventListener) {
+        rootElement.removeEventListener('click', onClick);
+        rootElement.removeEventListener('submit', onSubmit);
+        rootElement.removeEventListener('mouseover', onIntent);
+        rootElement.removeEventListener('focusin', onIntent);
+      }
+      if (unlisten) { unlisten(); unlisten = null; }
+      if (viewportObserver) { viewportObserver.disconnect(); viewportObserver = null; }
       if (unsubGo) { unsubGo(); unsubGo = null; }
-      if (typeof current.unboot === 'function') {
-        try { Promise.resolve(current.unboot()).catch(() => {}); } catch {}
+      if (unsubBlock) { unsubBlock(); unsubBlock = null; }
+      started = false;
+      syncBeforeUnload();
+      while (current.matches.length) {
+        const level = current.matches.pop();
+        unbootViews(level);
+        if (typeof level.unboot === 'function') {
+          try { Promise.resolve(level.unboot()).catch(() => {}); } catch {}
+        }
       }
+      for (const entry of viewCache.values()) unbootCached(entry);
+      viewCache.clear();
+      if (announcer) { announcer.remove(); announcer = null; }
+      navigated = false;
       return this;
     },
 
+    mount,
+
+    /**
+     * Wait for in-flight navigations and form actions (and any navigations they start) to finish.
+     * Never rejects; failed navigations end up in ui.route.error.
+     * @returns {Promise<void>}
+     */
+    settled,
+
     getCurrent() {
       return {
         view: current.viewKey,
         path: current.path,
         search: current.search,
+        locale: current.locale,
       };
     },
+
+    /**
+     * Store path the route state is written under, e.g. 'ui.route' or,
+     * once mounted, 'ui.route.admin'.
+     * @returns {string}
+     */
+    getNamespace() {
+      return namespace;
+    },
+
+    /**
+     * The route table in match order (most specific first), for tooling.
+     * @returns {Array<{ path: string, name: ?string, view: ?string, aliasOf: ?string, redirect: boolean }>}
+     */
+    getRoutes() {
+      return matcher.records.map(record => ({
+        path: record.fullPath,
+        name: record.name ?? null,
+        view: record.view ?? null,
+        aliasOf: record.aliasOf ? record.aliasOf.fullPath : null,
+        redirect: Boolean(record.redirect),
+      }));
+    },
+
+    [MOUNT]: {
+      attach(parent) {
+        if (mountedIn) throw new Error('[router] Router is already mounted at ' + mountedIn.prefix);
+        if (started) throw new Error('[router] A started router cannot be mounted');
+        const ns = namespaceOption || parent.namespace;
+        const key = ns.startsWith(parent.parentNamespace + '.') ? ns.slice(parent.parentNamespace.length + 1).split('.')[0] : null;
+        if (ns === parent.parentNamespace || ROUTE_KEYS.includes(key)) {
+          throw new Error('[router] Namespace ' + ns + ' overlaps the route state of the router it is mounted in; pass another namespace to createRouter');
+        }
+        mountedIn = { prefix: parent.prefix, navigate: parent.navigate, entryKey: parent.entryKey, root: null };
+        history = parent.history;
+        if (!namespaceOption) {
+          namespace = parent.namespace;
+          subscribeStore();
+        }
+      },
+      setRoot(el) {
+        mountedIn.root = el;
+      },
+      // Route the rest of the parent's path; resolves with navigate()'s result plus meta
+      async run(pathname, opts, extra) {
+        const result = await beginNavigation(pathname, opts, navContext(extra));
+        return { ...result, meta: current.meta };
+      },
+      leave: leaveMounted,
+      // The parent left the section: snapshot and unboot everything
+      async detach() {
+        if (navController) navController.abort();
+        saveViewState(0, false);
+        await unbootFrom(0);
+        await clearViewCache();
+        Object.assign(current, { viewKey: null, path: null, search: '', hash: '', params: {}, error: null, meta: {} });
+        const outlets = syncOutlets();
+        if (store) {
+          try {
+            store.setMany({
+              [routeKey('view')]: null, [routeKey('path')]: null, [routeKey('params')]: {},
+              [routeKey('matches')]: [], [routeKey('outlets')]: outlets,
+            });
+          } catch {}
+        }
+        mountedIn.root = null;
+      },
+    },
   };
 }
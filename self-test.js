@@ -1,12 +1,23 @@
 /**
  * @uistate/router: zero-dependency self-test
  *
- * Tests the pure-function core of the router: pattern compilation,
- * path normalization, and route resolution.
+ * Tests the pure-function core of the router (matcher.js): pattern
+ * compilation, path normalization, nested route flattening, specificity
+ * ranking, route resolution and the createMatcher trie.
  * DOM-dependent features (navigate, start, link interception) are
  * tested in the integration test suite.
  */
 
+import {
+  compareSpecificity,
+  compilePattern,
+  compileRoutes,
+  createMatcher,
+  joinPaths,
+  matchRecord,
+  normalizePath,
+} from './matcher.js';
+
 let passed = 0;
 let failed = 0;
 
@@ -24,47 +35,6 @@ function section(title) {
   console.log(`\n${title}`);
 }
 
-// -- Pure functions extracted from router.js for testing -------------
-
-function compilePattern(pattern) {
-  const paramNames = [];
-  const parts = pattern.split(/:([a-zA-Z_][a-zA-Z0-9_]*)/);
-  const regexStr = parts
-    .map((part, i) => {
-      if (i % 2 === 1) {
-        paramNames.push(part);
-        return '([^/]+)';
-      }
-      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    })
-    .join('');
-  return { regex: new RegExp('^' + regexStr + '$'), paramNames };
-}
-
-function normalizePath(p) {
-  if (!p) return '/';
-  if (p[0] !== '/') p = '/' + p;
-  if (p === '/index.html') return '/';
-  if (p.length > 1 && p.endsWith('/')) p = p.slice(0, -1);
-  return p;
-}
-
-function resolve(compiled, compiledFallback, pathname) {
-  const p = normalizePath(pathname);
-  for (const route of compiled) {
-    const match = p.match(route.regex);
-    if (match) {
-      const params = {};
-      route.paramNames.forEach((name, i) => {
-        params[name] = decodeURIComponent(match[i + 1]);
-      });
-      return { path: route.path, view: route.view, params };
-    }
-  }
-  if (compiledFallback) return { ...compiledFallback, params: {} };
-  return null;
-}
-
 // -- 1. compilePattern -----------------------------------------------
 
 section('1. compilePattern');
@@ -83,7 +53,7 @@ const r3 = compilePattern('/users/:id');
 assert('single param: matches /users/42', r3.regex.test('/users/42'));
 assert('single param: extracts id', r3.paramNames[0] === 'id');
 const m3 = '/users/42'.match(r3.regex);
-assert('single param: id = 42', m3[1] === '42');
+assert('single param: id = 42', m3.groups.p0 === '42');
 assert('single param: rejects /users', !r3.regex.test('/users'));
 assert('single param: rejects /users/', !r3.regex.test('/users/'));
 
@@ -91,8 +61,8 @@ const r4 = compilePattern('/users/:id/posts/:postId');
 assert('multi param: matches /users/1/posts/99', r4.regex.test('/users/1/posts/99'));
 assert('multi param: paramNames', r4.paramNames[0] === 'id' && r4.paramNames[1] === 'postId');
 const m4 = '/users/1/posts/99'.match(r4.regex);
-assert('multi param: id = 1', m4[1] === '1');
-assert('multi param: postId = 99', m4[2] === '99');
+assert('multi param: id = 1', m4.groups.p0 === '1');
+assert('multi param: postId = 99', m4.groups.p1 === '99');
 
 const r5 = compilePattern('/posts/:id/edit');
 assert('mixed: matches /posts/5/edit', r5.regex.test('/posts/5/edit'));
@@ -120,38 +90,163 @@ const routes = [
   { path: '/users', view: 'users' },
   { path: '/users/:id', view: 'user' },
   { path: '/users/:id/posts/:postId', view: 'post' },
-].map(r => ({ ...r, ...compilePattern(r.path) }));
+];
 
-const fallback = { view: '404', params: {} };
+const withFallback = createMatcher(routes, { fallback: { view: '404' } });
+const noFallback = createMatcher(routes);
 
-const res1 = resolve(routes, fallback, '/');
+const res1 = withFallback.resolve('/');
 assert('resolve /: view = home', res1.view === 'home');
 
-const res2 = resolve(routes, fallback, '/users');
+const res2 = withFallback.resolve('/users');
 assert('resolve /users: view = users', res2.view === 'users');
 
-const res3 = resolve(routes, fallback, '/users/42');
+const res3 = withFallback.resolve('/users/42');
 assert('resolve /users/42: view = user', res3.view === 'user');
 assert('resolve /users/42: params.id = 42', res3.params.id === '42');
 
-const res4 = resolve(routes, fallback, '/users/1/posts/99');
+const res4 = withFallback.resolve('/users/1/posts/99');
 assert('resolve /users/1/posts/99: view = post', res4.view === 'post');
 assert('resolve /users/1/posts/99: params.id = 1', res4.params.id === '1');
 assert('resolve /users/1/posts/99: params.postId = 99', res4.params.postId === '99');
 
-const res5 = resolve(routes, fallback, '/unknown');
+const res5 = withFallback.resolve('/unknown');
 assert('resolve /unknown: falls back to 404', res5.view === '404');
 
-const res6 = resolve(routes, null, '/unknown');
+const res6 = noFallback.resolve('/unknown');
 assert('resolve /unknown no fallback: returns null', res6 === null);
 
 // -- 4. URL-encoded params -------------------------------------------
 
 section('4. URL-encoded params');
 
-const res7 = resolve(routes, null, '/users/hello%20world');
+const res7 = noFallback.resolve('/users/hello%20world');
 assert('URL-encoded param decoded', res7.params.id === 'hello world');
 
+// -- 5. nested routes -----------------------------------------------
+
+section('5. nested routes');
+
+assert('joinPaths: relative child', joinPaths('/users/:id', 'posts/:postId') === '/users/:id/posts/:postId');
+assert('joinPaths: empty child → parent', joinPaths('/users/:id', '') === '/users/:id');
+assert('joinPaths: child of root', joinPaths('/', 'about') === '/about');
+assert('joinPaths: absolute child', joinPaths('/users', '/settings') === '/settings');
+
+const nestedRoutes = [
+  { path: '/users/:id', view: 'user', children: [
+    { path: '', view: 'overview' },
+    { path: 'posts/:postId', view: 'post' },
+  ] },
+];
+const nested = compileRoutes(nestedRoutes);
+assert('compileRoutes: children listed before parent', nested.map(r => r.view).join() === 'overview,post,user');
+const nestedPost = nested.find(r => r.view === 'post');
+assert('compileRoutes: child fullPath joined', nestedPost.fullPath === '/users/:id/posts/:postId');
+assert('compileRoutes: child links parent', nestedPost.parent.view === 'user');
+assert('compileRoutes: child paramNames include parent', nestedPost.paramNames.join() === 'id,postId');
+const res8 = createMatcher(nestedRoutes).resolve('/users/7');
+assert('resolve nested /users/7: index child wins', res8.view === 'overview');
+
+// -- 6. pattern syntax -----------------------------------------------
+
+section('6. pattern syntax');
+
+const optional = compilePattern('/posts/:id?');
+assert('optional: matches /posts', matchRecord(optional, '/posts') !== null);
+assert('optional: /posts has no id', !('id' in matchRecord(optional, '/posts')));
+assert('optional: /posts/3 id = 3', matchRecord(optional, '/posts/3').id === '3');
+assert('optional: rejects /posts/3/4', matchRecord(optional, '/posts/3/4') === null);
+
+const splat = compilePattern('/files/*rest');
+assert('splat: captures slashes', matchRecord(splat, '/files/a/b/c').rest === 'a/b/c');
+assert('splat: matches bare prefix', matchRecord(splat, '/files') !== null);
+assert('splat: rejects /filesx', matchRecord(splat, '/filesx') === null);
+const anyPath = compilePattern('/*');
+assert('bare splat: matches /', matchRecord(anyPath, '/') !== null);
+assert('bare splat: matches /a/b', matchRecord(anyPath, '/a/b')['*'] === 'a/b');
+
+const constrained = compilePattern('/users/:id(\\d+)');
+assert('constraint: matches /users/42', matchRecord(constrained, '/users/42').id === '42');
+assert('constraint: rejects /users/abc', matchRecord(constrained, '/users/abc') === null);
+
+const decoded = { ...compilePattern('/users/:id'), parse: { id: Number } };
+assert('decoder: id parsed to number', matchRecord(decoded, '/users/7').id === 7);
+const strict = { ...compilePattern('/users/:id'), parse: { id: v => { if (!/^\d+$/.test(v)) throw new Error(); return v; } } };
+assert('decoder: throwing rejects the match', matchRecord(strict, '/users/new') === null);
+
+// -- 7. specificity ranking ------------------------------------------
+
+section('7. specificity ranking');
+
+const ranked = createMatcher([
+  { path: '/*', view: 'any' },
+  { path: '/users/:id', view: 'user' },
+  { path: '/users/:id(\\d+)', view: 'user-num' },
+  { path: '/users/new', view: 'new' },
+  { path: '/posts/:id?', view: 'posts' },
+  { path: '/posts', view: 'post-index' },
+]);
+
+assert('ranking: static beats param', ranked.resolve('/users/new').view === 'new');
+assert('ranking: constrained beats plain param', ranked.resolve('/users/5').view === 'user-num');
+assert('ranking: plain param still matches the rest', ranked.resolve('/users/ada').view === 'user');
+assert('ranking: exact beats optional', ranked.resolve('/posts').view === 'post-index');
+assert('ranking: optional matches when present', ranked.resolve('/posts/9').view === 'posts');
+assert('ranking: splat is last resort', ranked.resolve('/elsewhere').view === 'any');
+
+// -- 8. createMatcher ------------------------------------------------
+
+section('8. createMatcher');
+
+const table = [
+  { path: '/', view: 'home' },
+  { path: '/users/:id(\\d+)', view: 'user-num' },
+  { path: '/users/:id', view: 'user', children: [{ path: 'posts/:postId?', view: 'posts' }] },
+  { path: '/docs/:page(.*)', view: 'docs' },
+  { path: '/img/file.:ext', view: 'img' },
+  { path: '/p/:id', view: 'p-num', parse: { id: v => { if (!/^\d+$/.test(v)) throw new Error(); return Number(v); } } },
+  { path: '/p/:slug', view: 'p-slug' },
+  { path: '/*', view: 'any' },
+];
+const linear = compileRoutes(table).sort(compareSpecificity);
+const trie = createMatcher(table);
+const samples = ['/', '/users/5', '/users/ada', '/users/5/posts', '/users/5/posts/9', '/users/5/x',
+  '/docs', '/docs/a/b', '/img/file.png', '/p/3', '/p/intro', '/nowhere/at/all'];
+const sameAsLinear = samples.every(p => {
+  const record = linear.find(r => matchRecord(r, p));
+  const got = trie.resolve(p);
+  return got.view === record.view && JSON.stringify(got.params) === JSON.stringify(matchRecord(record, p));
+});
+assert('trie: same results as testing every route in order', sameAsLinear);
+assert('trie: records ranked most specific first', trie.records.every((r, i) => i === 0 || compareSpecificity(trie.records[i - 1], r) <= 0));
+assert('trie: decoder rejection falls through', trie.resolve('/p/intro').view === 'p-slug' && trie.resolve('/p/3').params.id === 3);
+
+const large = [];
+for (let i = 0; i < 3000; i++) large.push({ path: `/docs/section-${i}/:page`, view: 'docs-' + i });
+large.push({ path: '/*', view: 'any' });
+const largeMatcher = createMatcher(large);
+assert('large table: resolves the last section', largeMatcher.resolve('/docs/section-2999/intro').view === 'docs-2999');
+assert('large table: unmatched path reaches the splat', largeMatcher.resolve('/docs/section-3000/intro').view === 'any');
+assert('large table: no conflicts', largeMatcher.conflicts.length === 0);
+
+const reported = [];
+const conflicting = createMatcher([
+  { path: '/u/:id', view: 'a' },
+  { path: '/u/:userId', view: 'b' },
+  { path: '/n/:id(\\d+)', view: 'c' },
+  { path: '/n/:hash([0-9a-f]+)', view: 'd' },
+  { path: '/m/:id(\\d+)', view: 'g' },
+  { path: '/m/:slug([a-z]+)', view: 'h' },
+  { path: '/l/:lang(en|de)', view: 'i' },
+  { path: '/l/:id(\\d{2})', view: 'j' },
+  { path: '/box/:id', view: 'e', children: [{ path: '', view: 'f' }] },
+], { onConflict: c => reported.push(c) });
+assert('conflicts: reported at construction', reported.length === 2 && conflicting.conflicts.length === 2);
+assert('conflicts: shadowed route named with its winner', reported.some(c => c.type === 'shadowed' && c.path === '/u/:userId' && c.by === '/u/:id'));
+assert('conflicts: equally specific overlap is ambiguous', reported.some(c => c.type === 'ambiguous' && c.path === '/n/:hash([0-9a-f]+)'));
+assert('conflicts: disjoint constraints are not ambiguous', !reported.some(c => c.path.startsWith('/m/') || c.path.startsWith('/l/')));
+assert('conflicts: index child is not a conflict', !reported.some(c => c.path === '/box/:id'));
+
 // -- Summary ---------------------------------------------------------
 
 console.log(`\n@uistate/router v1.0.1 self-test`);
@@ -0,0 +1,141 @@
+// @uistate/router: server-side rendering
+// DOM-free: resolves a URL against the same route table as createRouter,
+// runs loaders, and renders HTML from component render() functions.
+
+import {
+  createMatcher,
+  followRedirects,
+  normalizePath,
+  parseQuery,
+  resolveMeta,
+  splitLocale,
+  withLocale,
+} from './matcher.js';
+
+// Lazy components are async factories; use the module's default export
+// unless the module itself is the component. A function with its own
+// render or boot (a class with static methods) is a component.
+async function toComponent(component) {
+  if (typeof component !== 'function' || typeof component.render === 'function' || typeof component.boot === 'function') return component;
+  const mod = await component();
+  return mod && (typeof mod.boot === 'function' || typeof mod.render === 'function') ? mod : mod?.default;
+}
+
+/**
+ * Serialize a store snapshot for inlining in a <script> tag.
+ * '<' is escaped so the JSON cannot close the tag early.
+ */
+export function serializeState(state) {
+  return JSON.stringify(state ?? {}).replace(/</g, '\\u003c');
+}
+
+/**
+ * Render a URL on the server.
+ *
+ * Each matched component may define render({ params, query, data, store, locale, outlet })
+ * returning an HTML string (or a promise of one). Rendering runs leaf first;
+ * a parent receives its child's HTML as `outlet` to place inside its
+ * [data-route-outlet] element. A level without render passes its child through.
+ * Views for named outlets (route.components) render into `outlets`, keyed by name.
+ * `meta` is the resolved route metadata, for the page's <title> and <meta> tags.
+ *
+ * The route state (ui.route.*, or under `namespace`) is written to the store
+ * exactly as the client router would, so `router.start({ hydrate: true })`
+ * can reuse it.
+ * A URL that hits a declarative redirect renders nothing and returns
+ * status 302 with the final URL in `redirect`. With `locales`, so does a URL
+ * without a locale prefix (to defaultLocale, e.g. picked from Accept-Language).
+ *
+ * @param {Array}  routes - Same route table passed to createRouter
+ * @param {string} url    - Request URL or path, e.g. '/users/42?tab=posts'
+ * @param {Object} [opts]
+ * @param {Object} [opts.store]    - EventState store to populate
+ * @param {Object} [opts.fallback] - Fallback route when nothing matches
+ * @param {AbortSignal} [opts.signal] - Passed to loaders
+ * @param {string[]} [opts.locales]   - Same locale prefixes passed to createRouter
+ * @param {string} [opts.defaultLocale] - Locale to redirect unprefixed URLs to; defaults to locales[0]
+ * @param {string} [opts.namespace='ui.route'] - Same namespace passed to createRouter
+ * @returns {Promise<{ status: number, html: string, outlets: Object, meta: Object, state: string, view: ?string, path: string, redirect?: string }>}
+ */
+export async function renderRoute(routes, url, { store = null, fallback = null, signal, locales = null, defaultLocale = null, namespace = 'ui.route' } = {}) {
+  const matcher = createMatcher(routes, { fallback });
+  const { pathname, search } = new URL(url, 'http://router.local');
+  let appPath = normalizePath(pathname);
+
+  let locale = null;
+  if (locales) {
+    ({ locale, path: appPath } = splitLocale(appPath, locales));
+    if (!locale) {
+      const redirect = withLocale(appPath + search, defaultLocale || locales[0]);
+      return { status: 302, html: '', outlets: {}, meta: {}, state: serializeState(store ? store.get() : {}), view: null, path: appPath, redirect };
+    }
+  }
+  const target = followRedirects(matcher.resolve, appPath, search);
+
+  if (target.hops.length > 1) {
+    const redirect = withLocale(target.path + target.search, locale);
+    return { status: 302, html: '', outlets: {}, meta: {}, state: serializeState(store ? store.get() : {}), view: null, path: appPath, redirect };
+  }
+  const { resolved } = target;
+
+  if (!resolved) {
+    return { status: 404, html: '', outlets: {}, meta: {}, state: serializeState(store ? store.get() : {}), view: null, path: appPath };
+  }
+
+  const next = resolved.matches;
+  const query = parseQuery(search, next[next.length - 1].record.querySchema);
+  const loaderSignal = signal || new AbortController().signal;
+
+  const [loaded, components] = await Promise.all([
+    Promise.all(next.map(m => (typeof m.record.load === 'function'
+      ? m.record.load({ params: m.params, query, signal: loaderSignal, store, locale })
+      : undefined))),
+    Promise.all(next.map(m => toComponent(m.record.component))),
+  ]);
+
+  let html = '';
+  const outlets = {};
+  for (let i = next.length - 1; i >= 0; i--) {
+    const props = { params: next[i].params, query, data: loaded[i], store, locale };
+    const component = components[i];
+    if (component && typeof component.render === 'function') {
+      html = await component.render({ ...props, outlet: html });
+    }
+    for (const [name, named] of Object.entries(next[i].record.components || {})) {
+      if (name === 'default' || name in outlets) continue;
+      const view = await toComponent(named);
+      if (view && typeof view.render === 'function') outlets[name] = await view.render({ ...props, outlet: '' });
+    }
+  }
+
+  let data;
+  for (let i = next.length - 1; i >= 0; i--) {
+    if (typeof next[i].record.load === 'function') { data = loaded[i]; break; }
+  }
+
+  const meta = resolveMeta(next, { query, data: loaded });
+
+  if (store) {
+    store.setMany({
+      [namespace + '.view']: resolved.view,
+      [namespace + '.path']: appPath,
+      [namespace + '.params']: resolved.params || {},
+      [namespace + '.query']: query,
+      [namespace + '.matches']: next.map((m, i) => ({ path: m.path, view: m.view, params: m.params, data: loaded[i] })),
+      [namespace + '.data']: data,
+      [namespace + '.meta']: meta,
+      [namespace + '.locale']: locale,
+      [namespace + '.transitioning']: false,
+    });
+  }
+
+  return {
+    status: resolved.fallback ? 404 : 200,
+    html,
+    outlets,
+    meta,
+    state: serializeState(store ? store.get() : {}),
+    view: resolved.view,
+    path: appPath,
+  };
+}
@@ -0,0 +1,487 @@
+// @uistate/router: test harness
+// Runs a real router in Node over a memory history and a minimal fake DOM,
+// so navigation, link clicks, back/forward and view boot/unboot can be
+// tested without a browser.
+
+import { createRouter } from './router.js';
+import { createMemoryHistory } from './history.js';
+
+// -- Minimal fake DOM ------------------------------------------------
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeHtml(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39);/g, (m, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" })[name]);
+}
+
+// One compound selector: tag, #id, .class and [attr] / [attr="value"] parts
+function parseCompound(compound) {
+  const parts = { tag: null, id: null, classes: [], attrs: [] };
+  const re = /^[a-zA-Z][\w-]*|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\]]*)))?\]|\*/g;
+  let m;
+  let last = 0;
+  while ((m = re.exec(compound)) && m.index === last) {
+    last = re.lastIndex;
+    if (m[1]) parts.id = m[1];
+    else if (m[2]) parts.classes.push(m[2]);
+    else if (m[3]) parts.attrs.push([m[3], m[4] ?? m[5] ?? m[6]]);
+    else if (m[0] !== '*') parts.tag = m[0].toUpperCase();
+  }
+  if (last !== compound.length) throw new Error('[router] Unsupported selector in test DOM: ' + compound);
+  return parts;
+}
+
+function matchesCompound(el, parts) {
+  if (parts.tag && el.tagName !== parts.tag) return false;
+  if (parts.id && el.getAttribute('id') !== parts.id) return false;
+  const classes = (el.getAttribute('class') || '').split(/\s+/);
+  if (!parts.classes.every(c => classes.includes(c))) return false;
+  return parts.attrs.every(([name, value]) => el.hasAttribute(name) && (value === undefined || el.getAttribute(name) === value));
+}
+
+// Selector lists with descendant combinators, e.g. 'nav a[data-link], [data-route-outlet]'
+function matchesSelector(el, selector) {
+  return selector.split(',').some(part => {
+    const compounds = part.trim().split(/\s+/).map(parseCompound);
+    if (!matchesCompound(el, compounds.pop())) return false;
+    let node = el.parentNode;
+    for (let i = compounds.length - 1; i >= 0; i--) {
+      while (node && !matchesCompound(node, compounds[i])) node = node.parentNode;
+      if (!node) return false;
+      node = node.parentNode;
+    }
+    return true;
+  });
+}
+
+class FakeText {
+  constructor(doc, text) {
+    this.ownerDocument = doc;
+    this.nodeType = 3;
+    this.parentNode = null;
+    this.textContent = text;
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+}
+
+class FakeEvent {
+  constructor(type, init = {}) {
+    Object.assign(this, { button: 0, metaKey: false, ctrlKey: false, shiftKey: false, altKey: false, bubbles: true, ...init });
+    this.type = type;
+    this.target = null;
+    this.currentTarget = null;
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+  }
+
+  preventDefault() { this.defaultPrevented = true; }
+  stopPropagation() { this.propagationStopped = true; }
+}
+
+class FakeElement {
+  constructor(doc, tag) {
+    this.ownerDocument = doc;
+    this.nodeType = 1;
+    this.tagName = tag.toUpperCase();
+    this.parentNode = null;
+    this.childNodes = [];
+    this.attributes = new Map();
+    this.style = {};
+    this.listeners = new Map();
+  }
+
+  get children() { return this.childNodes.filter(n => n.nodeType === 1); }
+  get firstChild() { return this.childNodes[0] || null; }
+
+  setAttribute(name, value) { this.attributes.set(name, String(value)); }
+  getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+  hasAttribute(name) { return this.attributes.has(name); }
+  removeAttribute(name) { this.attributes.delete(name); }
+
+  appendChild(node) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  append(...nodes) {
+    for (const node of nodes) this.appendChild(typeof node === 'string' ? this.ownerDocument.createTextNode(node) : node);
+  }
+
+  removeChild(node) {
+    this.childNodes = this.childNodes.filter(n => n !== node);
+    node.parentNode = null;
+    return node;
+  }
+
+  replaceChildren(...nodes) {
+    for (const node of this.childNodes) node.parentNode = null;
+    this.childNodes = [];
+    this.append(...nodes);
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  contains(node) {
+    for (let n = node; n; n = n.parentNode) if (n === this) return true;
+    return false;
+  }
+
+  * descendants() {
+    for (const child of this.children) {
+      yield child;
+      yield* child.descendants();
+    }
+  }
+
+  matches(selector) { return matchesSelector(this, selector); }
+
+  closest(selector) {
+    for (let el = this; el && el.nodeType === 1; el = el.parentNode) if (el.matches(selector)) return el;
+    return null;
+  }
+
+  querySelector(selector) {
+    for (const el of this.descendants()) if (el.matches(selector)) return el;
+    return null;
+  }
+
+  querySelectorAll(selector) {
+    return [...this.descendants()].filter(el => el.matches(selector));
+  }
+
+  focus() { this.ownerDocument.activeElement = this; }
+
+  addEventListener(type, fn) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(fn);
+  }
+
+  removeEventListener(type, fn) {
+    this.listeners.get(type)?.delete(fn);
+  }
+
+  // Bubbles from the target up through its ancestors
+  dispatchEvent(event) {
+    event.target = this;
+    for (let el = this; el && !event.propagationStopped; el = event.bubbles ? el.parentNode : null) {
+      event.currentTarget = el;
+      for (const fn of [...(el.listeners.get(event.type) || [])]) fn(event);
+    }
+    return !event.defaultPrevented;
+  }
+
+  click(init) {
+    return this.dispatchEvent(new FakeEvent('click', init));
+  }
+
+  get textContent() {
+    return this.childNodes.map(n => n.textContent).join('');
+  }
+
+  set textContent(text) {
+    this.replaceChildren(...(text ? [this.ownerDocument.createTextNode(String(text))] : []));
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(n => (n.nodeType === 3 ? escapeHtml(n.textContent) : n.outerHTML)).join('');
+  }
+
+  // Parses tags, attributes and text; enough for view templates in tests
+  set innerHTML(html) {
+    this.replaceChildren();
+    const re = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|[^<]+|</g;
+    let parent = this;
+    for (const m of String(html).matchAll(re)) {
+      if (m[0].startsWith('<!--')) continue;
+      if (m[1]) {
+        const tag = m[1].toUpperCase();
+        for (let el = parent; el !== this; el = el.parentNode) {
+          if (el.tagName === tag) { parent = el.parentNode; break; }
+        }
+      } else if (m[2]) {
+        const el = this.ownerDocument.createElement(m[2]);
+        for (const a of m[3].matchAll(/([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+          el.setAttribute(a[1], unescapeHtml(a[2] ?? a[3] ?? a[4] ?? ''));
+        }
+        parent.appendChild(el);
+        if (!m[4] && !VOID_TAGS.has(m[2].toLowerCase())) parent = el;
+      } else {
+        parent.appendChild(this.ownerDocument.createTextNode(unescapeHtml(m[0])));
+      }
+    }
+  }
+
+  get outerHTML() {
+    const tag = this.tagName.toLowerCase();
+    const attrs = [...this.attributes].map(([name, value]) => (value === '' ? ' ' + name : ` ${name}="${escapeHtml(value)}"`)).join('');
+    if (VOID_TAGS.has(tag)) return `<${tag}${attrs}>`;
+    return `<${tag}${attrs}>${this.innerHTML}</${tag}>`;
+  }
+}
+
+/**
+ * A minimal document for views to render into: createElement,
+ * createTextNode, and elements with attributes, innerHTML, textContent,
+ * simple selectors (tag, #id, .class, [attr="value"], descendants) and
+ * bubbling events. It has a title, head and body for route meta.
+ * @returns {{ createElement: Function, createTextNode: Function, activeElement: ?Object,
+ *   title: string, documentElement: Object, head: Object, body: Object }}
+ */
+export function createTestDocument() {
+  const doc = {
+    activeElement: null,
+    title: '',
+    createElement: tag => new FakeElement(doc, tag),
+    createTextNode: text => new FakeText(doc, String(text)),
+  };
+  doc.documentElement = doc.createElement('html');
+  doc.head = doc.documentElement.appendChild(doc.createElement('head'));
+  doc.body = doc.documentElement.appendChild(doc.createElement('body'));
+  return doc;
+}
+
+// -- Harness ---------------------------------------------------------
+
+// Record boot/unboot/activate/deactivate of a view as 'boot user', 'unboot user', ...
+function recordView(component, label, calls) {
+  if (!component) return component;
+  if (typeof component === 'function' && typeof component.boot !== 'function') {
+    return async () => {
+      const mod = await component();
+      const resolved = mod && (typeof mod.boot === 'function' || typeof mod.render === 'function') ? mod : mod?.default;
+      return recordView(resolved, label, calls);
+    };
+  }
+  if (typeof component.boot !== 'function') return component;
+
+  const hook = (name, fn) => (...args) => {
+    calls.push(name + ' ' + label);
+    return typeof fn === 'function' ? fn(...args) : undefined;
+  };
+  const recordMount = (result) => {
+    if (typeof result === 'function') return hook('unboot', result);
+    if (result && typeof result === 'object') {
+      const mount = { ...result, unboot: hook('unboot', result.unboot) };
+      if (result.activate) mount.activate = hook('activate', result.activate);
+      if (result.deactivate) mount.deactivate = hook('deactivate', result.deactivate);
+      return mount;
+    }
+    return hook('unboot', null);
+  };
+
+  return {
+    ...component,
+    boot(args) {
+      calls.push('boot ' + label);
+      const result = component.boot(args);
+      return result && typeof result.then === 'function' ? result.then(recordMount) : recordMount(result);
+    },
+  };
+}
+
+// Route table with every view wrapped by recordView; labels are the
+// route's view (or path), and 'view/outlet' for named outlet views
+function recordRoutes(routes, calls) {
+  return routes.map(route => {
+    const label = route.view ?? route.path;
+    const out = { ...route };
+    if (route.component) out.component = recordView(route.component, label, calls);
+    if (route.components) {
+      out.components = Object.fromEntries(Object.entries(route.components).map(([name, component]) => (
+        [name, recordView(component, name === 'default' ? label : label + '/' + name, calls)]
+      )));
+    }
+    if (Array.isArray(route.children)) out.children = recordRoutes(route.children, calls);
+    return out;
+  });
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+/**
+ * Create a router wired for tests: a memory history, a fake DOM root and
+ * a log of view lifecycle calls. Every action resolves once the navigations
+ * it started have settled.
+ *
+ *   const t = createEventTest({});
+ *   const app = createTestRouter({ routes, test: t, url: '/' });
+ *   await app.start();
+ *   await app.click('/users/42');
+ *   t.assertPath('ui.route.view', 'user');
+ *   app.assertCalls(['unboot home', 'boot user']);
+ *
+ * Any other option is passed to createRouter.
+ *
+ * @param {Object} config
+ * @param {Array}  config.routes
+ * @param {Object} [config.store]   - EventState store
+ * @param {Object} [config.test]    - An @uistate/event-test instance; its store is used
+ * @param {string|string[]} [config.url='/'] - Initial URL, or the memory history's entries
+ * @param {Object} [config.history] - History adapter to use instead of a memory history over `url`
+ * @returns {Object} Harness; see the README's Testing section
+ */
+export function createTestRouter({ routes, store = null, test = null, url = '/', history = null, ...config } = {}) {
+  store = store || test?.store;
+  if (!store) throw new Error('[router] createTestRouter requires a store or an event-test instance');
+
+  const calls = [];
+  const document = createTestDocument();
+  const root = document.createElement('main');
+  root.setAttribute('data-route-root', '');
+
+  history = history || createMemoryHistory({ initialEntries: Array.isArray(url) ? url : [url] });
+  const router = createRouter({
+    ...config,
+    routes: recordRoutes(routes, calls),
+    errorComponent: recordView(config.errorComponent, 'error', calls),
+    store,
+    history,
+    root,
+  });
+  const namespace = config.namespace || 'ui.route';
+
+  // A link element, or the href of a link inside the root
+  function findLink(target) {
+    const el = typeof target === 'string'
+      ? root.querySelectorAll('a').find(a => a.getAttribute('href') === target)
+      : target;
+    if (!el) throw new Error('[router] No link to ' + target + ' in the test root');
+    return el;
+  }
+
+  // A form element, or the action of a form inside the root
+  function findForm(target) {
+    const el = typeof target === 'string'
+      ? root.querySelectorAll('form').find(form => form.getAttribute('action') === target)
+      : target;
+    if (!el) throw new Error('[router] No form for ' + target + ' in the test root');
+    return el;
+  }
+
+  const harness = {
+    router,
+    store,
+    test,
+    history,
+    document,
+    root,
+    calls,
+
+    /** Start the router on the initial URL. */
+    async start(opts) {
+      router.start(opts);
+      await router.settled();
+      return harness;
+    },
+
+    stop() {
+      router.stop();
+      return harness;
+    },
+
+    /** Wait for in-flight navigations (and any they start) to finish. */
+    settled() {
+      return router.settled();
+    },
+
+    /** router.navigate(), then settle. Resolves to the navigation's result. */
+    async navigate(pathname, opts) {
+      const result = await router.navigate(pathname, opts).catch(error => ({ status: 'failed', error }));
+      await router.settled();
+      return result;
+    },
+
+    /**
+     * Click a link: an element, or the href of a link inside the root.
+     * Resolves to true when the router intercepted the click.
+     */
+    async click(target, init) {
+      const intercepted = !findLink(target).click(init);
+      await router.settled();
+      return intercepted;
+    },
+
+    /**
+     * Submit to a route's action, as a POST form would, then settle.
+     * fields is a FormData or a plain object. Resolves to the action's
+     * result, or { status: 'failed', error } if it threw.
+     */
+    async submit(pathname, fields = {}, opts) {
+      const formData = fields instanceof FormData ? fields : new FormData();
+      if (formData !== fields) for (const [name, value] of Object.entries(fields)) formData.append(name, value);
+      const result = await router.submit(pathname, formData, opts).catch(error => ({ status: 'failed', error }));
+      await router.settled();
+      return result;
+    },
+
+    /**
+     * Submit a form, as pressing its submit button would: an element, or
+     * the action of a form inside the root. Its named controls' value
+     * attributes are the fields; submitter is the button pressed, if any.
+     * Resolves to true when the router intercepted the submit.
+     */
+    async submitForm(target, submitter = null) {
+      const intercepted = !findForm(target).dispatchEvent(new FakeEvent('submit', { submitter }));
+      await router.settled();
+      return intercepted;
+    },
+
+    /**
+     * Move the pointer onto a link (mouseover), which starts an 'intent'
+     * prefetch. Resolves once the prefetch's loaders have been called.
+     */
+    async hover(target) {
+      findLink(target).dispatchEvent(new FakeEvent('mouseover'));
+      await new Promise(resolve => setTimeout(resolve));
+    },
+
+    /** Write ui.route.go, like a component would, then settle. */
+    async go(target) {
+      store.set(namespace + '.go', target);
+      await router.settled();
+    },
+
+    /** Back/forward through the memory history, then settle. */
+    async traverse(delta) {
+      history.go(delta);
+      await router.settled();
+    },
+    back() { return harness.traverse(-1); },
+    forward() { return harness.traverse(1); },
+
+    /** The root's markup. */
+    html() {
+      return root.innerHTML;
+    },
+
+    /** Assert the matched views, outermost first, e.g. ['layout', 'user']. */
+    assertMounted(views) {
+      const actual = (store.get(namespace + '.matches') || []).map(m => m.view);
+      if (!sameList(actual, views)) {
+        throw new Error(`Expected mounted views ${JSON.stringify(views)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+
+    /** Assert the lifecycle calls since the last assertCalls, in order. */
+    assertCalls(expected) {
+      const actual = calls.splice(0);
+      if (!sameList(actual, expected)) {
+        throw new Error(`Expected calls ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    },
+  };
+  return harness;
+}
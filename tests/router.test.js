@@ -3,17 +3,21 @@
  *
  * Tests the store-driven routing patterns: setMany for route state,
  * wildcard subscriptions for route changes, query patching, and
- * the ui.route.go store-driven navigation pattern.
- *
- * Note: DOM-dependent features (navigate, start, link interception)
- * cannot be tested in Node. These tests verify the state patterns
- * that the router writes to the store.
+ * the ui.route.go store-driven navigation pattern, plus the DOM-free
+ * server renderer. The test router runs the real router (navigate,
+ * start, link interception) over a memory history and a fake DOM root.
  */
 
 import { createEventTest, runTests } from '@uistate/event-test';
 import { createEventState } from '@uistate/core';
+import { createDevtools } from '../devtools.js';
+import { createMemoryHistory } from '../history.js';
+import { createRouter } from '../router.js';
+import { renderRoute, serializeState } from '../ssr.js';
+import { createTestDocument, createTestRouter } from '../testing.js';
+import { generateTypes } from '../typegen.js';
 
-const results = runTests({
+const tests = {
 
   // -- route state shape ---------------------------------------------
 
@@ -60,6 +64,23 @@ const results = runTests({
     t.assertPath('ui.route.query', { q: 'hello', page: '2' });
   },
 
+  'route state: typed query values and repeated keys': async () => {
+    const t = createEventTest({});
+    const routes = [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/users', view: 'users', component: { boot() {} }, query: { page: 'number', open: 'boolean' } },
+    ];
+    const app = createTestRouter({ routes, test: t });
+    await app.start();
+    await app.navigate('/users', { search: '?page=2&tag=a&tag=b&open' });
+    t.assertShape('ui.route.query', { page: 'number', open: 'boolean', tag: 'array' });
+    t.assertPath('ui.route.query', { page: 2, tag: ['a', 'b'], open: true });
+
+    // Without a schema, values stay strings; a repeated key is still an array
+    await app.navigate('/', { search: '?page=2&tag=a&tag=b' });
+    t.assertPath('ui.route.query', { page: '2', tag: ['a', 'b'] });
+  },
+
   // -- wildcard subscription -----------------------------------------
 
   'route wildcard: fires on any route change': () => {
@@ -112,6 +133,24 @@ const results = runTests({
     t.assertType('ui.route.go', 'object');
   },
 
+  'store-driven nav: named route go pattern': async () => {
+    const t = createEventTest({});
+    const routes = [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/users/:id/posts/:postId', name: 'post', view: 'post', component: { boot() {} } },
+    ];
+    const app = createTestRouter({ routes, test: t });
+    await app.start();
+    const target = { name: 'post', params: { id: '1', postId: '99' }, query: { tab: 'comments' } };
+    await app.go(target);
+    t.assertPath('ui.route.view', 'post');
+    t.assertPath('ui.route.params', { id: '1', postId: '99' });
+    t.assertPath('ui.route.query', { tab: 'comments' });
+    t.assertPath('ui.route.go', null);
+    const url = app.history.location.pathname + app.history.location.search;
+    if (url !== app.router.href(target.name, target.params, target.query)) throw new Error(`go and href() should agree, at ${url}`);
+  },
+
   'store-driven nav: query-only go pattern': () => {
     const t = createEventTest({});
     t.trigger('ui.route.go', { query: { tab: 'posts' } });
@@ -151,6 +190,1126 @@ const results = runTests({
     t.assertShape('ui.route.params', { id: 'string', postId: 'string' });
   },
 
+  // -- nested routes -------------------------------------------------
+
+  'nested routes: leaving a child for its parent clears the outlet': async () => {
+    const t = createEventTest({});
+    const routes = [
+      { path: '/users/:id', view: 'user',
+        component: { boot({ el, params }) { el.innerHTML = `<h1>User ${params.id}</h1><section data-route-outlet></section>`; } },
+        children: [{ path: 'posts/:postId', view: 'post', component: { boot({ el, params }) { el.textContent = 'Post ' + params.postId; } } }] },
+    ];
+    const app = createTestRouter({ routes, test: t, url: '/users/1/posts/2' });
+    await app.start();
+    app.assertMounted(['user', 'post']);
+    app.assertCalls(['boot user', 'boot post']);
+
+    await app.navigate('/users/1');
+    app.assertMounted(['user']);
+    app.assertCalls(['unboot post']);
+    if (app.html() !== '<h1>User 1</h1><section data-route-outlet></section>') throw new Error(`Unexpected html: ${app.html()}`);
+
+    await app.back();
+    app.assertMounted(['user', 'post']);
+    app.assertCalls(['boot post']);
+    if (app.html() !== '<h1>User 1</h1><section data-route-outlet>Post 2</section>') throw new Error(`Unexpected html: ${app.html()}`);
+  },
+
+  'mounting: child router state under its own namespace': async () => {
+    const t = createEventTest({});
+    const admin = createRouter({ store: t.store, routes: [
+      { path: '/users/:id', view: 'admin-user', component: { boot({ el, params }) { el.textContent = 'Admin user ' + params.id; } } },
+    ] });
+    const app = createTestRouter({ test: t, routes: [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/admin', view: 'admin', component: { boot({ el }) { el.innerHTML = '<h1>Admin</h1><div data-route-outlet></div>'; } } },
+    ] });
+    app.router.mount('/admin', admin);
+    await app.start();
+    await app.navigate('/admin/users/42');
+    t.assertPath('ui.route.view', 'admin-user');
+    t.assertPath('ui.route.path', '/admin/users/42');
+    t.assertPath('ui.route.admin.view', 'admin-user');
+    t.assertPath('ui.route.admin.path', '/users/42');
+    t.assertPath('ui.route.admin.params', { id: '42' });
+    if (app.html() !== '<h1>Admin</h1><div data-route-outlet>Admin user 42</div>') throw new Error(`Unexpected html: ${app.html()}`);
+
+    t.trigger('ui.route.admin.go', '/users/7');
+    await app.settled();
+    t.assertPath('ui.route.path', '/admin/users/7');
+    t.assertPath('ui.route.admin.params', { id: '7' });
+    t.assertPath('ui.route.admin.go', null);
+    t.assertPath('ui.route.go', undefined);
+  },
+
+  'transitions: viewTransition keeps the old view until the new one has booted': async () => {
+    const t = createEventTest({});
+    let during = null;
+    let bootState = null;
+    const app = createTestRouter({ test: t, viewTransition: true, routes: [
+      { path: '/', view: 'home', component: { boot({ el }) { el.innerHTML = '<p>Home</p>'; return () => el.replaceChildren(); } } },
+      { path: '/about', view: 'about', component: { async boot({ el }) {
+        during = app.html();
+        bootState = [t.store.get('ui.route.direction'), t.store.get('ui.route.transitioning')];
+        await new Promise(resolve => setTimeout(resolve, 5));
+        el.textContent = 'About';
+      } } },
+    ] });
+    await app.start();
+    await app.navigate('/about');
+    if (!during.includes('<p>Home</p>')) throw new Error(`The old view should stay on screen while the new one boots: ${during}`);
+    if (bootState.join() !== 'forward,true') throw new Error(`Expected forward while transitioning, got ${bootState}`);
+    app.assertCalls(['boot home', 'boot about', 'unboot home']);
+    if (app.html().includes('Home') || !app.html().includes('About')) throw new Error(`Unexpected html after the swap: ${app.html()}`);
+
+    await app.back();
+    t.assertPath('ui.route.direction', 'back');
+    t.assertPath('ui.route.transitioning', false);
+    app.assertCalls(['boot home', 'unboot about']);
+    if (!app.html().includes('<p>Home</p>')) throw new Error(`Unexpected html after back: ${app.html()}`);
+  },
+
+  // -- named outlets & modal routes ----------------------------------
+
+  'outlets: modal route opens over the page, full-page on direct load': async () => {
+    const routes = [
+      { path: '/gallery', view: 'gallery',
+        component: { boot({ el }) { el.innerHTML = '<a href="/photos/7" data-link>7</a><div data-route-outlet="modal"></div>'; } } },
+      { path: '/photos/:id', view: 'photo', modal: true,
+        component: { boot({ el, params }) { el.textContent = 'Photo ' + params.id; } } },
+    ];
+    const t = createEventTest({});
+    const app = createTestRouter({ routes, test: t, url: '/gallery' });
+    await app.start();
+    await app.click('/photos/7');
+    app.assertCalls(['boot gallery', 'boot photo']);
+    const modal = app.root.querySelector('[data-route-outlet="modal"]');
+    if (modal.textContent !== 'Photo 7' || !app.root.querySelector('a')) throw new Error(`The modal should open over the gallery: ${app.html()}`);
+    t.assertPath('ui.route.view', 'photo');
+    t.assertPath('ui.route.background', '/gallery');
+    t.assertPath('ui.route.outlets.default.view', 'gallery');
+    t.assertPath('ui.route.outlets.modal.params', { id: '7' });
+
+    await app.back();
+    app.assertCalls(['unboot photo']);
+    t.assertPath('ui.route.view', 'gallery');
+    t.assertPath('ui.route.background', null);
+    t.assertPath('ui.route.outlets.modal', null);
+    if (modal.textContent !== '' || !app.root.contains(modal)) throw new Error(`Back should close the modal: ${app.html()}`);
+
+    await app.forward();
+    app.assertCalls(['boot photo']);
+    t.assertPath('ui.route.background', '/gallery');
+
+    const direct = createEventTest({});
+    const page = createTestRouter({ routes, test: direct, url: '/photos/7' });
+    await page.start();
+    page.assertCalls(['boot photo']);
+    if (page.html() !== 'Photo 7') throw new Error(`A direct load should render full-page: ${page.html()}`);
+    direct.assertPath('ui.route.background', null);
+    direct.assertPath('ui.route.outlets.default.view', 'photo');
+  },
+
+  'outlets: named outlet views boot with their route and unboot on leave and stop': async () => {
+    const t = createEventTest({});
+    const view = text => ({ boot({ el }) { el.textContent = text; } });
+    const routes = [
+      { path: '/', view: 'home',
+        components: { default: { boot({ el }) { el.innerHTML = 'Home <aside data-route-outlet="aside"></aside>'; } }, aside: view('Filters') } },
+      { path: '/about', view: 'about', component: { boot({ el }) { el.innerHTML = 'About <aside data-route-outlet="aside"></aside>'; } } },
+    ];
+    const app = createTestRouter({ routes, test: t });
+    await app.start();
+    app.assertCalls(['boot home', 'boot home/aside']);
+    t.assertPath('ui.route.outlets.aside.view', 'home');
+    if (app.html() !== 'Home <aside data-route-outlet="aside">Filters</aside>') throw new Error(`Unexpected html: ${app.html()}`);
+
+    await app.navigate('/about');
+    app.assertCalls(['unboot home/aside', 'unboot home', 'boot about']);
+    t.assertPath('ui.route.outlets.aside', null);
+
+    await app.back();
+    app.assertCalls(['unboot about', 'boot home', 'boot home/aside']);
+    app.stop();
+    app.assertCalls(['unboot home/aside', 'unboot home']);
+  },
+
+  // -- navigation guards ---------------------------------------------
+
+  'guards: beforeEach, beforeEnter and canLeave cancel or redirect': async () => {
+    const t = createEventTest({});
+    let loggedIn = false;
+    let canLeave = true;
+    const app = createTestRouter({
+      test: t,
+      beforeEach: to => to.path !== '/closed',
+      routes: [
+        { path: '/', view: 'home', component: { boot() {} } },
+        { path: '/closed', view: 'closed', component: { boot() {} } },
+        { path: '/login', view: 'login', component: { boot() {} } },
+        { path: '/admin', view: 'admin', beforeEnter: () => loggedIn || '/login', component: { boot() {} } },
+        { path: '/editor', view: 'editor', component: { boot() { return { unboot() {}, canLeave: () => canLeave }; } } },
+      ],
+    });
+    await app.start();
+
+    const closed = await app.navigate('/closed');
+    if (closed.status !== 'blocked' || closed.guard !== 'beforeEach') throw new Error(`Expected blocked by beforeEach, got ${JSON.stringify(closed)}`);
+    t.assertPath('ui.route.path', '/');
+    t.assertPath('ui.route.blocked', { path: '/closed', search: '', guard: 'beforeEach', redirect: null });
+
+    await app.navigate('/admin');
+    t.assertPath('ui.route.path', '/login');
+    t.assertPath('ui.route.blocked', { path: '/admin', search: '', guard: 'beforeEnter', redirect: '/login' });
+    loggedIn = true;
+    await app.navigate('/admin');
+    t.assertPath('ui.route.view', 'admin');
+    t.assertPath('ui.route.blocked', null);
+
+    await app.navigate('/editor');
+    canLeave = false;
+    const stay = await app.navigate('/');
+    if (stay.status !== 'blocked' || stay.guard !== 'canLeave') throw new Error(`Expected blocked by canLeave, got ${JSON.stringify(stay)}`);
+    await app.back();
+    t.assertPath('ui.route.view', 'editor');
+    if (app.history.location.pathname !== '/editor') throw new Error('A cancelled back should restore the entry');
+    app.assertCalls(['boot home', 'unboot home', 'boot login', 'unboot login', 'boot admin', 'unboot admin', 'boot editor']);
+    canLeave = true;
+    await app.navigate('/');
+    app.assertCalls(['unboot editor', 'boot home']);
+  },
+
+  'guards: a pending guard is aborted by a newer navigation': async () => {
+    const t = createEventTest({});
+    let guardSignal = null;
+    const app = createTestRouter({ test: t, routes: [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/slow', view: 'slow', component: { boot() {} },
+        beforeEnter: async (to, from, { signal }) => {
+          guardSignal = signal;
+          await new Promise(resolve => setTimeout(resolve, 20));
+          return true;
+        } },
+      { path: '/fast', view: 'fast', component: { boot() {} } },
+    ] });
+    await app.start();
+    const slow = app.router.navigate('/slow');
+    await app.navigate('/fast');
+    const result = await slow;
+    if (result.status !== 'aborted') throw new Error(`Expected aborted, got ${result.status}`);
+    if (!guardSignal.aborted) throw new Error("The guard's signal should abort");
+    await app.settled();
+    t.assertPath('ui.route.view', 'fast');
+    app.assertCalls(['boot home', 'unboot home', 'boot fast']);
+  },
+
+  'guards: router.block() asks before leaving and restores a blocked back': async () => {
+    const t = createEventTest({});
+    const app = createTestRouter({ test: t, routes: [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/a', view: 'a', component: { boot() {} } },
+      { path: '/b', view: 'b', component: { boot() {} } },
+    ] });
+    await app.start();
+    await app.navigate('/a');
+    await app.navigate('/b');
+
+    const asked = [];
+    let answer = false;
+    const unblock = app.router.block(async (to) => {
+      asked.push({ to: to.path, blocked: t.store.get('ui.route.blocked') });
+      return answer;
+    });
+
+    const result = await app.navigate('/a');
+    if (result.status !== 'blocked' || result.guard !== 'block') throw new Error(`Expected blocked, got ${JSON.stringify(result)}`);
+    if (!asked[0].blocked?.pending || asked[0].blocked.path !== '/a') throw new Error('ui.route.blocked should be pending while the blocker decides');
+    t.assertPath('ui.route.blocked', { path: '/a', search: '', guard: 'block', redirect: null });
+
+    const index = app.history.index;
+    await app.back();
+    t.assertPath('ui.route.view', 'b');
+    if (app.history.index !== index || app.history.location.pathname !== '/b') throw new Error('A blocked back should restore the history index');
+
+    answer = true;
+    await app.back();
+    t.assertPath('ui.route.view', 'a');
+    unblock();
+    await app.navigate('/');
+    if (asked.map(a => a.to).join() !== '/a,/a,/a') throw new Error(`Unexpected blocker calls: ${asked.map(a => a.to)}`);
+    t.assertPath('ui.route.view', 'home');
+  },
+
+  // -- route loaders -------------------------------------------------
+
+  'loaders: nested loaders run in parallel, feed boot and respect staleTime': async () => {
+    const t = createEventTest({});
+    const events = [];
+    const booted = {};
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+    let slowSignal = null;
+    const app = createTestRouter({ test: t, routes: [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/users/:id', view: 'user',
+        load: async ({ params }) => { events.push('start user'); await delay(10); events.push('end user'); return { name: 'User ' + params.id }; },
+        component: { boot({ el, data }) { booted.user = data; el.innerHTML = '<section data-route-outlet></section>'; } },
+        children: [
+          { path: 'posts', view: 'posts', staleTime: 60000,
+            load: async () => { events.push('start posts'); await delay(10); events.push('end posts'); return ['Hello']; },
+            component: { boot({ data }) { booted.posts = data; } } },
+        ] },
+      { path: '/slow', view: 'slow', component: { boot() {} },
+        load: ({ signal }) => { slowSignal = signal; return delay(50); } },
+    ] });
+    await app.start();
+
+    await app.navigate('/users/1/posts');
+    if (events.join() !== 'start user,start posts,end user,end posts') throw new Error(`Loaders should run in parallel: ${events}`);
+    if (booted.user?.name !== 'User 1' || booted.posts?.[0] !== 'Hello') throw new Error("boot() should receive each level's data");
+    t.assertPath('ui.route.data', ['Hello']);
+    t.assertPath('ui.route.matches.0.data', { name: 'User 1' });
+
+    events.length = 0;
+    await app.navigate('/');
+    await app.navigate('/users/1/posts');
+    if (events.join() !== 'start user,end user') throw new Error(`posts is within its staleTime and should not load again: ${events}`);
+
+    const slow = app.router.navigate('/slow');
+    await app.navigate('/');
+    if ((await slow).status !== 'aborted' || !slowSignal.aborted) throw new Error("A superseded navigation should abort its loader's signal");
+    t.assertPath('ui.route.view', 'home');
+    app.assertCalls(['boot home', 'unboot home', 'boot user', 'boot posts', 'unboot posts', 'unboot user', 'boot home',
+      'unboot home', 'boot user', 'boot posts', 'unboot posts', 'unboot user', 'boot home']);
+  },
+
+  // -- error handling ------------------------------------------------
+
+  'errors: a throwing load or boot mounts the error view with retry': async () => {
+    const t = createEventTest({});
+    let offline = true;
+    let retry = null;
+    const app = createTestRouter({
+      test: t,
+      errorComponent: { boot({ el, error, retry: fn }) { retry = fn; el.textContent = 'Error: ' + error.message; } },
+      routes: [
+        { path: '/', view: 'home', component: { boot() {} } },
+        { path: '/users/:id', view: 'user',
+          load: ({ params }) => { if (offline) throw new Error('Network down'); return { name: 'User ' + params.id }; },
+          component: { boot({ el, data }) { el.textContent = data.name; } } },
+        { path: '/broken', view: 'broken',
+          component: { boot() { throw new TypeError('boom'); } },
+          errorComponent: { boot({ el, error }) { el.textContent = 'Broken: ' + error.message; } } },
+      ],
+    });
+    await app.start();
+
+    const failed = await app.navigate('/users/1');
+    if (failed.status !== 'failed' || failed.error.message !== 'Network down') throw new Error(`Expected a failed result, got ${JSON.stringify(failed)}`);
+    t.assertPath('ui.route.error', { message: 'Network down', name: 'Error', phase: 'load', path: '/users/1', search: '' });
+    t.assertPath('ui.route.transitioning', false);
+    if (app.html() !== 'Error: Network down') throw new Error(`Unexpected html: ${app.html()}`);
+    app.assertCalls(['boot home', 'unboot home', 'boot error']);
+
+    offline = false;
+    retry();
+    await app.settled();
+    t.assertPath('ui.route.view', 'user');
+    t.assertPath('ui.route.error', null);
+    if (app.html() !== 'User 1') throw new Error(`Unexpected html after retry: ${app.html()}`);
+    app.assertCalls(['unboot error', 'boot user']);
+
+    const broken = await app.navigate('/broken');
+    if (broken.status !== 'failed') throw new Error(`Expected a failed result, got ${broken.status}`);
+    t.assertPath('ui.route.error.phase', 'boot');
+    t.assertPath('ui.route.error.name', 'TypeError');
+    if (app.html() !== 'Broken: boom') throw new Error(`The route's own errorComponent should win: ${app.html()}`);
+  },
+
+  // -- navigation log ------------------------------------------------
+
+  'log: navigations recorded with trigger, timings and supersededBy, capped at logMax': async () => {
+    const t = createEventTest({});
+    const app = createTestRouter({ test: t, logMax: 3, routes: [
+      { path: '/', view: 'home', component: { boot({ el }) { el.innerHTML = '<a href="/users/42" data-link>Ada</a>'; } } },
+      { path: '/users/:id', view: 'user', load: () => new Promise(resolve => setTimeout(resolve, 10)), component: { boot() {} } },
+      { path: '/about', view: 'about', component: { boot() {} } },
+    ] });
+    await app.start();
+    await app.click('/users/42');
+    const [start, click] = t.store.get('ui.route.log');
+    if (start.trigger !== 'start' || click.trigger !== 'click') throw new Error(`Unexpected triggers: ${start.trigger}, ${click.trigger}`);
+    t.assertShape('ui.route.log.1', { id: 'number', from: 'string', to: 'string', status: 'string', duration: 'number', timings: 'object' });
+    if (click.from !== '/' || click.to !== '/users/42' || click.status !== 'completed') throw new Error(`Unexpected entry: ${JSON.stringify(click)}`);
+    if (!(click.timings.load >= 5) || typeof click.timings.boot !== 'number') throw new Error(`Expected load and boot timings: ${JSON.stringify(click.timings)}`);
+
+    const slow = app.router.navigate('/users/7');
+    await app.go('/about');
+    await slow;
+    const log = t.store.get('ui.route.log');
+    if (log.length !== 3) throw new Error(`The log should keep logMax entries, got ${log.length}`);
+    const aborted = log.find(entry => entry.to === '/users/7');
+    const about = log.find(entry => entry.to === '/about');
+    if (aborted.status !== 'aborted' || aborted.supersededBy !== about.id) throw new Error(`Expected /users/7 superseded by #${about.id}: ${JSON.stringify(aborted)}`);
+    if (about.trigger !== 'go') throw new Error(`Expected a go trigger, got ${about.trigger}`);
+
+    const el = app.document.createElement('div');
+    const unboot = createDevtools(app.router, { open: true }).boot({ store: t.store, el });
+    const text = el.textContent;
+    if (!text.includes('view: about  path: /about')) throw new Error(`Devtools should show the current route: ${text}`);
+    if (!text.includes(`#${aborted.id} programmatic /users/42 → /users/7 aborted`) || !text.includes(`superseded by #${about.id}`)) {
+      throw new Error(`Devtools should list the timeline: ${text}`);
+    }
+    if (!text.includes('/users/:id')) throw new Error('Devtools should list the route table');
+    await app.navigate('/');
+    if (!el.textContent.includes('view: home')) throw new Error('Devtools should re-render after a navigation');
+    unboot();
+    if (el.children.length) throw new Error('unboot should remove the overlay');
+  },
+
+  // -- memory history ------------------------------------------------
+
+  'memory history: push, back, forward and go(n)': () => {
+    const history = createMemoryHistory({ initialEntries: ['/'] });
+    const pops = [];
+    history.listen(loc => { pops.push(loc.pathname + loc.search); });
+
+    history.push('/users');
+    history.push('/users/42?tab=posts');
+    if (history.location.pathname !== '/users/42') throw new Error('push should move to the new entry');
+    if (history.location.search !== '?tab=posts') throw new Error('push should keep the search string');
+
+    history.back();
+    history.go(-1);
+    history.forward();
+    history.go(5); // clamped to the last entry
+
+    if (pops.join() !== '/users,/,/users,/users/42?tab=posts') throw new Error(`Unexpected pops: ${pops.join()}`);
+  },
+
+  'memory history: push after back drops forward entries': () => {
+    const history = createMemoryHistory({ initialEntries: ['/', '/a', '/b'] });
+    history.back();
+    history.push('/c');
+    const paths = history.entries.map(e => e.pathname).join();
+    if (paths !== '/,/a,/c') throw new Error(`Expected /,/a,/c, got ${paths}`);
+    if (history.index !== 2) throw new Error('Index should point at the new entry');
+  },
+
+  'memory history: entries keep hash and state for scroll keys': () => {
+    const history = createMemoryHistory({ initialEntries: ['/'] });
+    history.replace('/', { idx: 0, key: 'a' });
+    history.push('/docs#install', { idx: 1, key: 'b' });
+    if (history.location.hash !== '#install') throw new Error('push should keep the hash');
+    history.back();
+    if (history.location.state.key !== 'a') throw new Error('back should return the entry state');
+  },
+
+  'route-scoped state: reset on leave, restored from the entry on back': async () => {
+    const t = createEventTest({});
+    const drafts = [];
+    const app = createTestRouter({ test: t, routes: [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/compose', view: 'compose', state: { path: 'ui.views.compose', initial: { draft: '' } },
+        component: { boot({ store }) { drafts.push(store.get('ui.views.compose.draft')); } } },
+    ] });
+    await app.start();
+    await app.navigate('/compose');
+    t.store.set('ui.views.compose.draft', 'Hello');
+
+    await app.navigate('/');
+    t.assertPath('ui.views.compose', { draft: '' });
+
+    await app.back();
+    t.assertPath('ui.views.compose', { draft: 'Hello' });
+
+    await app.navigate('/');
+    await app.navigate('/compose');
+    t.assertPath('ui.views.compose', { draft: '' });
+    if (drafts.join('|') !== '|Hello|') throw new Error(`boot() should see the restored state: ${JSON.stringify(drafts)}`);
+  },
+
+  'scroll: positions kept per entry in sessionStorage, fragments scrolled to': async () => {
+    const storage = new Map();
+    const Storage = globalThis.sessionStorage;
+    globalThis.sessionStorage = { getItem: key => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, String(value)) };
+    try {
+      const scroller = createTestDocument().createElement('div');
+      Object.assign(scroller, { scrollLeft: 0, scrollTop: 0, scrollTo(x, y) { this.scrollLeft = x; this.scrollTop = y; } });
+      const routes = [
+        { path: '/', view: 'home', component: { boot() {} } },
+        { path: '/posts/:id', view: 'post', component: { boot({ el, params }) {
+          el.innerHTML = `<h1>Post ${params.id}</h1><h2 id="comments">Comments</h2>`;
+          el.querySelector('#comments').scrollIntoView = () => scroller.scrollTo(0, 500);
+        } } },
+      ];
+      const t = createEventTest({});
+      const app = createTestRouter({ routes, test: t, scrollContainer: scroller });
+      await app.start();
+
+      scroller.scrollTo(0, 300);
+      await app.navigate('/posts/1');
+      if (scroller.scrollTop !== 0) throw new Error('A new page should start at the top');
+      scroller.scrollTo(0, 120);
+      await app.navigate('/posts/1', { hash: '#comments' });
+      if (scroller.scrollTop !== 500) throw new Error('A fragment should scroll its target into view');
+      await app.navigate('/posts/2');
+      if (scroller.scrollTop !== 0) throw new Error('A new page should start at the top');
+
+      await app.back();
+      if (scroller.scrollTop !== 500) throw new Error(`Back should restore the entry's position, got ${scroller.scrollTop}`);
+      await app.back();
+      if (scroller.scrollTop !== 120) throw new Error(`Each entry keeps its own position, got ${scroller.scrollTop}`);
+      await app.back();
+      if (scroller.scrollTop !== 300) throw new Error(`Back home should restore 300, got ${scroller.scrollTop}`);
+
+      const saved = JSON.parse(storage.get('uistate-router:scroll')).map(([, pos]) => pos.y);
+      if (!saved.includes(300) || !saved.includes(120)) throw new Error(`Positions should be kept in sessionStorage: ${saved}`);
+    } finally {
+      if (Storage) globalThis.sessionStorage = Storage;
+      else delete globalThis.sessionStorage;
+    }
+  },
+
+  // -- test router --------------------------------------------------
+
+  'test router: link clicks, back/forward and ui.route.go navigate': async () => {
+    const t = createEventTest({});
+    const routes = [
+      { path: '/', view: 'home', component: { boot({ el }) { el.innerHTML = '<a href="/users/42" data-link>Ada</a><a href="/docs">Docs</a>'; } } },
+      { path: '/users', view: 'users',
+        component: { boot({ el }) { el.innerHTML = '<h1>Users</h1><section data-route-outlet></section>'; } },
+        children: [{ path: ':id', view: 'user', component: { boot({ el, params }) { el.textContent = 'User ' + params.id; } } }] },
+    ];
+    const app = createTestRouter({ routes, test: t });
+    await app.start();
+    app.assertMounted(['home']);
+    app.assertCalls(['boot home']);
+
+    if (await app.click('/docs')) throw new Error('A link without data-link should not be intercepted');
+    if (!await app.click('/users/42')) throw new Error('A data-link click should be intercepted');
+    app.assertMounted(['users', 'user']);
+    app.assertCalls(['unboot home', 'boot users', 'boot user']);
+    t.assertPath('ui.route.params', { id: '42' });
+    if (app.html() !== '<h1>Users</h1><section data-route-outlet>User 42</section>') throw new Error(`Unexpected html: ${app.html()}`);
+
+    await app.go('/users/7');
+    app.assertCalls(['unboot user', 'boot user']);
+    t.assertPath('ui.route.path', '/users/7');
+
+    await app.back();
+    t.assertPath('ui.route.path', '/users/42');
+    await app.traverse(-1);
+    app.assertMounted(['home']);
+    app.assertCalls(['unboot user', 'boot user', 'unboot user', 'unboot users', 'boot home']);
+
+    const triggers = t.store.get('ui.route.log').map(e => e.trigger).join();
+    if (triggers !== 'start,click,go,pop,pop') throw new Error(`Unexpected triggers: ${triggers}`);
+    app.stop();
+    app.assertCalls(['unboot home']);
+  },
+
+  'test router: keepAlive views are cached, re-attached on back and evicted LRU': async () => {
+    const t = createEventTest({});
+    const elements = {};
+    const page = label => ({
+      boot({ el }) {
+        el.textContent = label;
+        elements[label] = el;
+        return { unboot() {}, activate() {}, deactivate() {} };
+      },
+    });
+    const app = createTestRouter({ test: t, keepAliveMax: 1, routes: [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/a', view: 'a', keepAlive: true, component: page('A') },
+      { path: '/b', view: 'b', keepAlive: true, component: page('B') },
+      { path: '/c', view: 'c', keepAlive: true, component: page('C') },
+    ] });
+    await app.start();
+    await app.navigate('/a');
+    await app.navigate('/b');
+    app.assertCalls(['boot home', 'unboot home', 'boot a', 'deactivate a', 'boot b']);
+
+    await app.back();
+    app.assertCalls(['deactivate b', 'activate a']);
+    if (!app.root.contains(elements.A) || app.html().includes('B')) throw new Error(`The cached view should be re-attached: ${app.html()}`);
+
+    // The cache holds one view: caching A evicts B, the least recently used
+    await app.navigate('/c');
+    app.assertCalls(['deactivate a', 'unboot b', 'boot c']);
+    await app.back();
+    app.assertCalls(['deactivate c', 'activate a']);
+    await app.forward();
+    app.assertCalls(['deactivate a', 'activate c']);
+  },
+
+  'test router: lazy views load once, links prefetch on intent or in view': async () => {
+    const t = createEventTest({});
+    let imports = 0;
+    const loads = [];
+    const observers = [];
+    const Observer = globalThis.IntersectionObserver;
+    globalThis.IntersectionObserver = class {
+      constructor(callback) { this.callback = callback; this.targets = []; observers.push(this); }
+      observe(el) { this.targets.push(el); }
+      unobserve(el) { this.targets = this.targets.filter(target => target !== el); }
+      disconnect() { this.targets = []; }
+    };
+    try {
+      const app = createTestRouter({ test: t, prefetch: 'intent', routes: [
+        { path: '/', view: 'home', component: { boot({ el }) {
+          el.innerHTML = '<a href="/users/1" data-link><b>Ada</b></a>'
+            + '<a href="/users/2" data-link data-prefetch="viewport">Bob</a>'
+            + '<a href="/users/3" data-link data-prefetch="none">Cy</a>';
+        } } },
+        { path: '/users/:id', view: 'user',
+          load: async ({ params }) => {
+            loads.push(params.id);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return { id: params.id };
+          },
+          component: async () => {
+            imports++;
+            return { default: { boot({ el, data }) { el.textContent = 'User ' + data.id; } } };
+          } },
+      ] });
+      await app.start();
+
+      // Entering the link, then its child, while the first prefetch is pending
+      await app.hover('/users/1');
+      await app.hover(app.root.querySelector('b'));
+      await app.hover('/users/1');
+      await app.hover('/users/3');
+      if (loads.join() !== '1') throw new Error(`Hovering should start one loader call, got ${loads}`);
+
+      const [observer] = observers;
+      if (observer.targets.length !== 1 || observer.targets[0].textContent !== 'Bob') throw new Error('Only data-prefetch="viewport" links should be observed');
+      observer.callback([{ isIntersecting: true, target: observer.targets[0] }]);
+      await new Promise(resolve => setTimeout(resolve));
+      if (loads.join() !== '1,2') throw new Error(`A link in view should prefetch, got ${loads}`);
+
+      await app.click('/users/1');
+      if (loads.join() !== '1,2') throw new Error(`The navigation should reuse the prefetched data, got ${loads}`);
+      if (imports !== 1) throw new Error(`The lazy view should be imported once, got ${imports}`);
+      if (app.html() !== 'User 1') throw new Error(`Unexpected html: ${app.html()}`);
+      app.assertCalls(['boot home', 'unboot home', 'boot user']);
+    } finally {
+      if (Observer) globalThis.IntersectionObserver = Observer;
+      else delete globalThis.IntersectionObserver;
+    }
+  },
+
+  'test router: functions with their own boot are components, not lazy factories': async () => {
+    const t = createEventTest({});
+    class Profile {
+      static boot({ el, params }) { el.textContent = 'Profile ' + params.id; }
+      static render({ params }) { return `<p>Profile ${params.id}</p>`; }
+    }
+    function settings({ el }) { el.textContent = 'Settings'; }
+    settings.boot = settings;
+    const routes = [
+      { path: '/profile/:id', view: 'profile', component: Profile },
+      { path: '/settings', view: 'settings', component: settings },
+    ];
+    const root = createTestDocument().createElement('main');
+    const router = createRouter({ routes, store: t.store, root, history: createMemoryHistory({ initialEntries: ['/profile/1'] }) });
+    router.start();
+    await router.settled();
+    t.assertPath('ui.route.error', null);
+    if (root.innerHTML !== 'Profile 1') throw new Error(`A class with a static boot should boot: ${root.innerHTML}`);
+
+    await router.navigate('/settings');
+    t.assertPath('ui.route.error', null);
+    if (root.innerHTML !== 'Settings') throw new Error(`A function with a boot property should boot: ${root.innerHTML}`);
+    router.stop();
+
+    const { html } = await renderRoute(routes, '/profile/2');
+    if (html !== '<p>Profile 2</p>') throw new Error(`A class with a static render should render: ${html}`);
+  },
+
+  'test router: query schema parses the URL and bindQuery syncs both ways': async () => {
+    const t = createEventTest({ ui: { users: { page: 1 } } });
+    const app = createTestRouter({ test: t, url: '/users?tag=a&tag=b&open&sort=bogus', routes: [
+      { path: '/users', view: 'users', component: { boot() {} },
+        query: {
+          page: { type: 'number', default: 1, omitDefault: true },
+          tag: 'array',
+          sort: { type: 'enum', values: ['name', 'date'], default: 'name' },
+          open: 'boolean',
+        } },
+    ] });
+    await app.start();
+    t.assertPath('ui.route.query', { tag: ['a', 'b'], open: true, sort: 'name', page: 1 });
+
+    const unbind = app.router.bindQuery('ui.users.page', 'page');
+    const entries = app.history.entries.length;
+    t.store.set('ui.users.page', 3);
+    await app.settled();
+    t.assertPath('ui.route.query.page', 3);
+    if (!app.history.location.search.includes('page=3')) throw new Error(`Store write should reach the URL: ${app.history.location.search}`);
+    if (app.history.entries.length !== entries) throw new Error('bindQuery should replace the entry by default');
+
+    t.store.set('ui.users.page', 1);
+    await app.settled();
+    if (app.history.location.search.includes('page')) throw new Error(`A default with omitDefault should leave the URL: ${app.history.location.search}`);
+
+    await app.navigate('/users', { search: '?page=7&tag=c' });
+    t.assertPath('ui.users.page', 7);
+    t.assertPath('ui.route.query.tag', ['c']);
+
+    unbind();
+    t.store.set('ui.users.page', 9);
+    await app.settled();
+    t.assertPath('ui.route.query.page', 7);
+  },
+
+  'test router: href() and navigate({ name }) encode params and reject bad ones': async () => {
+    const t = createEventTest({});
+    const app = createTestRouter({ test: t, routes: [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/users/:id', name: 'user', view: 'user', component: { boot() {} } },
+      { path: '/files/*path', name: 'file', view: 'file', component: { boot() {} } },
+    ] });
+    await app.start();
+    const { router } = app;
+
+    const userHref = router.href('user', { id: 'a b/c' }, { tab: 'posts', q: 'x&y' });
+    if (userHref !== '/users/a%20b%2Fc?tab=posts&q=x%26y') throw new Error(`Unexpected href: ${userHref}`);
+    const fileHref = router.href('file', { path: 'docs/read me.md' });
+    if (fileHref !== '/files/docs/read%20me.md') throw new Error(`Splat segments should be encoded one by one: ${fileHref}`);
+
+    const errors = [
+      () => router.href('user'),
+      () => router.href('user', { id: '1', tab: 'posts' }),
+      () => router.href('nope'),
+    ].map(fn => { try { fn(); return null; } catch (e) { return e.message; } });
+    if (!errors[0]?.includes('Missing param "id"')) throw new Error(`Expected a missing param error, got ${errors[0]}`);
+    if (!errors[1]?.includes('Unknown param "tab"')) throw new Error(`Expected an unknown param error, got ${errors[1]}`);
+    if (!errors[2]?.includes('Unknown route name: nope')) throw new Error(`Expected an unknown name error, got ${errors[2]}`);
+
+    await app.navigate({ name: 'user', params: { id: 'a b/c' }, query: { tab: 'posts' } });
+    t.assertPath('ui.route.view', 'user');
+    t.assertPath('ui.route.params', { id: 'a b/c' });
+    t.assertPath('ui.route.query', { tab: 'posts' });
+    if (app.history.location.pathname !== '/users/a%20b%2Fc') throw new Error(`Unexpected URL: ${app.history.location.pathname}`);
+
+    const missing = await app.navigate({ name: 'user' });
+    if (missing.status !== 'failed' || !missing.error.message.includes('Missing param "id"')) throw new Error('navigate({ name }) without its params should reject');
+    t.assertPath('ui.route.view', 'user');
+  },
+
+  'test router: actions settle guard redirects and lazy views': async () => {
+    const t = createEventTest({});
+    const routes = [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/login', view: 'login', component: async () => ({ default: { boot() {} } }) },
+      { path: '/account', view: 'account', beforeEnter: async () => '/login', component: { boot() {} } },
+    ];
+    const app = createTestRouter({ routes, test: t, url: '/' });
+    await app.start();
+    await app.navigate('/account');
+    t.assertPath('ui.route.view', 'login');
+    t.assertPath('ui.route.path', '/login');
+    app.assertCalls(['boot home', 'unboot home', 'boot login']);
+  },
+
+  'test router: submit runs the route action and writes actionData': async () => {
+    const t = createEventTest({});
+    const saved = [];
+    const routes = [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/todos/:id', view: 'todo', component: { boot() {} },
+        action: ({ formData, params }) => {
+          if (!formData.get('title')) throw new Error('Title required');
+          saved.push(formData.get('title'));
+          return { id: params.id, title: formData.get('title') };
+        } },
+    ];
+    const app = createTestRouter({ routes, test: t, url: '/' });
+    await app.start();
+
+    const result = await app.submit('/todos/3', { title: 'Buy milk' });
+    if (result.title !== 'Buy milk') throw new Error(`Unexpected action result: ${JSON.stringify(result)}`);
+    t.assertPath('ui.route.view', 'todo');
+    t.assertPath('ui.route.actionData', { id: '3', title: 'Buy milk' });
+    if (t.store.get('ui.route.log').at(-1).trigger !== 'submit') throw new Error('Expected a submit-triggered navigation');
+
+    // Posting to the current page stays put
+    await app.submit('/todos/3', { title: 'Eggs' });
+    app.assertCalls(['boot home', 'unboot home', 'boot todo']);
+    t.assertPath('ui.route.actionData', { id: '3', title: 'Eggs' });
+
+    const failed = await app.submit('/todos/3', {});
+    if (failed.status !== 'failed') throw new Error('A throwing action should reject');
+    t.assertPath('ui.route.actionData', null);
+    t.assertPath('ui.route.error.phase', 'action');
+    if (saved.join() !== 'Buy milk,Eggs') throw new Error(`Unexpected saves: ${saved.join()}`);
+
+    await app.navigate('/');
+    t.assertPath('ui.route.error', null);
+  },
+
+  'test router: data-link forms navigate (GET) or run the route action (POST)': async () => {
+    const t = createEventTest({});
+    const saved = [];
+    const routes = [
+      { path: '/', view: 'home', component: { boot({ el }) {
+        el.innerHTML = '<form action="/search" data-link><input name="q" value="ada"><input type="checkbox" name="all" checked>' +
+          '<input type="checkbox" name="draft"><button name="sort" value="name">Search</button></form>' +
+          '<form action="/todos" method="post" data-link><input name="title" value="Eggs"><textarea name="note">Fresh</textarea></form>' +
+          '<form action="/login" method="post" data-link><input name="user" value="ada"></form>' +
+          '<form action="/search"><input name="q" value="native"></form>';
+      } } },
+      { path: '/search', view: 'search', component: { boot() {} } },
+      { path: '/todos', view: 'todos', component: { boot() {} },
+        action: ({ formData }) => {
+          saved.push(formData.get('title') + ' ' + formData.get('note'));
+          return { saved: saved.length };
+        } },
+    ];
+    const app = createTestRouter({ routes, test: t });
+    await app.start();
+    const [search, todo, login, native] = app.root.querySelectorAll('form');
+
+    if (await app.submitForm(native)) throw new Error('A form without data-link should submit natively');
+    if (await app.submitForm(login)) throw new Error('A POST to a route without an action should submit natively');
+
+    if (!await app.submitForm(search, search.querySelector('button'))) throw new Error('A GET data-link form should be intercepted');
+    t.assertPath('ui.route.view', 'search');
+    t.assertPath('ui.route.query', { q: 'ada', all: 'on', sort: 'name' });
+    if (t.store.get('ui.route.log').at(-1).trigger !== 'submit') throw new Error('Expected a submit-triggered navigation');
+
+    await app.back();
+    if (!await app.submitForm('/todos')) throw new Error('A POST data-link form should be intercepted');
+    t.assertPath('ui.route.view', 'todos');
+    t.assertPath('ui.route.actionData', { saved: 1 });
+    if (saved.join() !== 'Eggs Fresh') throw new Error(`Unexpected saves: ${saved.join()}`);
+  },
+
+  'test router: Navigation API navigations are routed, and a stopped traversal ends its transition': async () => {
+    const t = createEventTest({});
+    // A memory history with intercept(), standing in for the browser's navigate events
+    const memory = createMemoryHistory({ initialEntries: ['/a'] });
+    let dispatch = null;
+    const send = nav => dispatch({
+      source: null, formData: null, search: '', hash: '', signal: new AbortController().signal,
+      cancel() { nav.cancelled = true; },
+      intercept(handler) { handler(); },
+      ...nav,
+    });
+    const history = Object.assign(Object.create(memory), {
+      intercept(fn) { dispatch = fn; return () => { dispatch = null; }; },
+      go(n, signal) {
+        const from = memory.index;
+        memory.go(n);
+        send({ type: 'traverse', ...memory.location, direction: memory.index > from ? 'forward' : 'back', signal });
+      },
+    });
+
+    let release = null;
+    const routes = [
+      { path: '/a', view: 'a', component: { boot({ el }) { el.innerHTML = '<a href="/b" data-link>B</a>'; } },
+        load: ({ signal }) => (release ? new Promise(resolve => signal.addEventListener('abort', resolve)) : null) },
+      { path: '/b', view: 'b', component: { boot() {} } },
+    ];
+    const app = createTestRouter({ routes, test: t, history });
+    await app.start();
+
+    // A click on a link arrives as a navigate event with the link as its source
+    const link = { type: 'push', pathname: '/b', source: app.root.querySelector('a') };
+    send(link);
+    await app.settled();
+    if (!link.cancelled) throw new Error('A routed push should be cancelled and run through navigate()');
+    t.assertPath('ui.route.view', 'b');
+    if (t.store.get('ui.route.log').at(-1).trigger !== 'click') throw new Error('Expected a click-triggered navigation');
+
+    // location.assign() to a path without a route of its own loads from the server
+    const server = { type: 'push', pathname: '/logout' };
+    send(server);
+    await app.settled();
+    if (server.cancelled) throw new Error('An unrouted location.assign() should load from the server');
+    t.assertPath('ui.route.view', 'b');
+
+    // Back, stopped by the user while /a loads
+    release = true;
+    const stop = new AbortController();
+    history.go(-1, stop.signal);
+    await new Promise(resolve => setTimeout(resolve));
+    t.assertPath('ui.route.transitioning', true);
+    stop.abort();
+    await app.settled();
+    t.assertPath('ui.route.view', 'b');
+    t.assertPath('ui.route.transitioning', false);
+    if (memory.location.pathname !== '/b') throw new Error(`The stopped traversal should return to /b, at ${memory.location.pathname}`);
+  },
+
+  'test router: locales redirect unprefixed URLs and setLocale() switches language': async () => {
+    const t = createEventTest({});
+    const loaded = [];
+    const routes = [
+      { path: '/users/:id', view: 'user',
+        load: ({ params, locale }) => { loaded.push(locale + ' ' + params.id); return null; },
+        component: { boot({ el, params, locale }) { el.textContent = `${locale}: User ${params.id}`; } } },
+    ];
+    const app = createTestRouter({ routes, test: t, url: '/users/42?tab=posts', locales: ['en', 'de'], defaultLocale: 'en' });
+    await app.start();
+    t.assertPath('ui.route.locale', 'en');
+    t.assertPath('ui.route.path', '/users/42');
+    t.assertPath('ui.route.redirectedFrom', '/users/42?tab=posts');
+    if (app.history.location.pathname !== '/en/users/42' || app.history.entries.length !== 1) {
+      throw new Error(`An unprefixed URL should be replaced by the default locale's: ${app.history.location.pathname}`);
+    }
+
+    // Unprefixed paths stay in the current locale
+    await app.navigate('/users/7');
+    t.assertPath('ui.route.locale', 'en');
+    t.assertPath('ui.route.redirectedFrom', null);
+    if (app.history.location.pathname !== '/en/users/7') throw new Error(`Unexpected URL: ${app.history.location.pathname}`);
+
+    app.assertCalls(['boot user', 'unboot user', 'boot user']);
+    const result = await app.router.setLocale('de');
+    await app.settled();
+    if (result.status !== 'completed') throw new Error(`setLocale should navigate, got ${result.status}`);
+    t.assertPath('ui.route.locale', 'de');
+    t.assertPath('ui.route.path', '/users/7');
+    app.assertCalls(['unboot user', 'boot user']);
+    if (app.history.location.pathname !== '/de/users/7' || app.html() !== 'de: User 7') throw new Error(`Unexpected page: ${app.html()}`);
+
+    // A prefixed path switches back
+    await app.navigate('/en/users/7');
+    t.assertPath('ui.route.locale', 'en');
+    if (loaded.join() !== 'en 42,en 7,de 7,en 7') throw new Error(`Loaders should rerun per locale, got ${loaded}`);
+
+    let error = null;
+    try { await app.router.setLocale('fr'); } catch (e) { error = e; }
+    if (!error || !error.message.includes('Unknown locale')) throw new Error('An unknown locale should be rejected');
+  },
+
+  'test router: declarative redirects replace the URL, loops and long chains fail': async () => {
+    const t = createEventTest({});
+    const routes = [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/users/:id', view: 'user', component: { boot({ el, params }) { el.textContent = 'User ' + params.id; } } },
+      { path: '/u/:id', redirect: '/users/:id?from=short' },
+      { path: '/me', redirect: ({ query }) => '/u/' + (query.id || '1') },
+      { path: '/a', redirect: '/b' },
+      { path: '/b', redirect: '/a' },
+      ...Array.from({ length: 11 }, (_, i) => ({ path: '/hop' + i, redirect: '/hop' + (i + 1) })),
+      { path: '/hop11', view: 'end', component: { boot() {} } },
+    ];
+    const app = createTestRouter({ routes, test: t });
+    await app.start();
+
+    const result = await app.navigate('/me', { search: '?id=5' });
+    if (result.status !== 'completed' || result.view !== 'user') throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+    t.assertPath('ui.route.path', '/users/5');
+    t.assertPath('ui.route.query', { id: '5', from: 'short' });
+    t.assertPath('ui.route.redirectedFrom', '/me?id=5');
+    if (app.html() !== 'User 5') throw new Error(`Unexpected html: ${app.html()}`);
+    const urls = app.history.entries.map(e => e.pathname + e.search).join();
+    if (urls !== '/,/users/5?id=5&from=short') throw new Error(`Redirect sources should get no history entry: ${urls}`);
+
+    await app.navigate('/users/6');
+    t.assertPath('ui.route.redirectedFrom', null);
+
+    const loop = await app.navigate('/a');
+    if (loop.status !== 'failed') throw new Error(`A redirect loop should fail, got ${loop.status}`);
+    t.assertPath('ui.route.error.phase', 'redirect');
+    if (!t.store.get('ui.route.error.message').includes('Redirect loop: /a → /b → /a')) throw new Error(t.store.get('ui.route.error.message'));
+
+    const long = await app.navigate('/hop0');
+    if (long.status !== 'failed') throw new Error(`Too many hops should fail, got ${long.status}`);
+    if (!t.store.get('ui.route.error.message').includes('Too many redirects (max 10)')) throw new Error(t.store.get('ui.route.error.message'));
+    await app.navigate('/hop1');
+    t.assertPath('ui.route.view', 'end');
+    t.assertPath('ui.route.error', null);
+  },
+
+  'test router: mounted routers keep clear of the parent route state': async () => {
+    const t = createEventTest({});
+    const itemRoutes = [{ path: '/:id', view: 'item', component: { boot({ el, params }) { el.textContent = 'Item ' + params.id; } } }];
+    const app = createTestRouter({ routes: [{ path: '/', view: 'home', component: { boot() {} } }], test: t });
+
+    let error = null;
+    try { app.router.mount('/data', createRouter({ store: t.store, routes: itemRoutes })); } catch (e) { error = e; }
+    if (!error || !error.message.includes('ui.route.data')) throw new Error('Mounting at /data should reject the ui.route.data namespace');
+
+    app.router.mount('/data', createRouter({ store: t.store, routes: itemRoutes, namespace: 'ui.dataRoute' }));
+    await app.start();
+    await app.navigate('/data/5');
+    t.assertPath('ui.route.path', '/data/5');
+    t.assertPath('ui.dataRoute.view', 'item');
+    t.assertPath('ui.dataRoute.params', { id: '5' });
+    if (app.html() !== 'Item 5') throw new Error(`Unexpected html: ${app.html()}`);
+  },
+
+  'test router: route conflicts go to onConflict, or to the debug log': async () => {
+    const t = createEventTest({});
+    const routes = [
+      { path: '/u/:id', view: 'user' },
+      { path: '/u/:userId', view: 'member' },
+    ];
+    const conflicts = [];
+    createRouter({ store: t.store, routes, onConflict: conflict => conflicts.push(conflict) });
+    if (conflicts.length !== 1 || conflicts[0].type !== 'shadowed' || conflicts[0].path !== '/u/:userId') {
+      throw new Error(`Unexpected conflicts: ${JSON.stringify(conflicts)}`);
+    }
+
+    const { debug, warn } = console;
+    const logged = [];
+    console.debug = console.warn = (...args) => logged.push(args.join(' '));
+    try {
+      createRouter({ store: t.store, routes });
+      if (logged.length) throw new Error(`Conflicts should not be logged unless debug is on: ${logged}`);
+      createRouter({ store: t.store, routes, debug: true });
+    } finally {
+      Object.assign(console, { debug, warn });
+    }
+    if (logged.join() !== '[router] Route /u/:userId never matches: /u/:id always wins') throw new Error(`Unexpected log: ${logged}`);
+  },
+
+  'test router: route meta sets the title and tags, and restores the originals': async () => {
+    const t = createEventTest({});
+    const routes = [
+      { path: '/', view: 'home', component: { boot() {} } },
+      { path: '/users/:id', view: 'user', component: { boot() {} },
+        load: ({ params }) => ({ name: 'Ada' + params.id }),
+        meta: { title: ({ data }) => `${data.name} · Users`, description: 'About a user', robots: 'noindex' } },
+    ];
+    const app = createTestRouter({ routes, test: t });
+    const { document } = app;
+    document.title = 'Shop';
+    document.head.innerHTML = '<meta name="description" content="A shop">';
+    const tag = name => document.head.querySelector(`meta[name="${name}"]`)?.getAttribute('content') ?? null;
+    const announced = () => document.body.querySelector('[data-route-announcer]')?.textContent ?? null;
+
+    await app.start();
+    if (document.title !== 'Shop' || announced() !== null) throw new Error('The first page keeps its title and is not announced');
+
+    await app.navigate('/users/1');
+    t.assertPath('ui.route.meta', { title: 'Ada1 · Users', description: 'About a user', robots: 'noindex' });
+    if (document.title !== 'Ada1 · Users') throw new Error(`Unexpected title: ${document.title}`);
+    if (tag('description') !== 'About a user' || tag('robots') !== 'noindex') throw new Error('Route meta tags not written');
+    if (announced() !== 'Ada1 · Users') throw new Error(`Unexpected announcement: ${announced()}`);
+
+    await app.navigate('/');
+    if (document.title !== 'Shop') throw new Error(`The page's own title should be restored, got ${document.title}`);
+    if (tag('description') !== 'A shop' || tag('robots') !== null) throw new Error('The page\'s own meta tags should be restored');
+    if (announced() !== 'Shop') throw new Error(`Unexpected announcement: ${announced()}`);
+
+    const quiet = createTestRouter({ routes, test: createEventTest({}), announce: ({ path }) => 'Now at ' + path });
+    await quiet.start();
+    await quiet.navigate('/users/2');
+    if (quiet.document.body.querySelector('[data-route-announcer]').textContent !== 'Now at /users/2') {
+      throw new Error('announce() should set the announcement text');
+    }
+  },
+
+  // -- server-side rendering ----------------------------------------
+
+  'ssr: renderRoute renders nested HTML and route state': async () => {
+    const t = createEventTest({});
+    const routes = [
+      { path: '/users/:id', view: 'user',
+        load: ({ params }) => ({ name: 'User ' + params.id }),
+        component: { render: ({ data, outlet }) => `<h1>${data.name}</h1><div data-route-outlet>${outlet}</div>` },
+        children: [
+          { path: 'posts/:postId', view: 'post', component: { render: ({ params }) => `<p>Post ${params.postId}</p>` } },
+        ] },
+    ];
+    const out = await renderRoute(routes, '/users/1/posts/99?tab=comments', { store: t.store });
+    if (out.status !== 200) throw new Error(`Expected 200, got ${out.status}`);
+    if (out.html !== '<h1>User 1</h1><div data-route-outlet><p>Post 99</p></div>') throw new Error(`Unexpected html: ${out.html}`);
+    t.assertPath('ui.route.view', 'post');
+    t.assertPath('ui.route.params', { id: '1', postId: '99' });
+    t.assertPath('ui.route.query', { tab: 'comments' });
+    t.assertPath('ui.route.data', { name: 'User 1' });
+  },
+
+  'ssr: unmatched URL renders fallback with 404': async () => {
+    const out = await renderRoute([], '/missing', { fallback: { view: '404', component: { render: () => 'Not found' } } });
+    if (out.status !== 404) throw new Error(`Expected 404, got ${out.status}`);
+    if (out.html !== 'Not found') throw new Error(`Unexpected html: ${out.html}`);
+  },
+
+  'ssr: declarative redirect returns 302 with params and query carried': async () => {
+    const routes = [
+      { path: '/u/:id', redirect: '/users/:id?from=u' },
+      { path: '/users/:id', view: 'user', alias: ['/people/:id'], component: { render: ({ params }) => `User ${params.id}` } },
+    ];
+    const out = await renderRoute(routes, '/u/42?tab=posts');
+    if (out.status !== 302) throw new Error(`Expected 302, got ${out.status}`);
+    if (out.redirect !== '/users/42?tab=posts&from=u') throw new Error(`Unexpected redirect: ${out.redirect}`);
+    const alias = await renderRoute(routes, '/people/7');
+    if (alias.status !== 200 || alias.html !== 'User 7') throw new Error('Alias should render the aliased route in place');
+  },
+
+  'ssr: named outlet views render into outlets': async () => {
+    const routes = [
+      { path: '/inbox', view: 'inbox', components: { default: { render: () => 'Inbox' }, aside: { render: () => 'Filters' } } },
+    ];
+    const out = await renderRoute(routes, '/inbox');
+    if (out.html !== 'Inbox') throw new Error(`Unexpected html: ${out.html}`);
+    if (out.outlets.aside !== 'Filters') throw new Error(`Unexpected aside: ${out.outlets.aside}`);
+  },
+
+  'ssr: route meta merged along the chain and resolved with loader data': async () => {
+    const t = createEventTest({});
+    const routes = [{
+      path: '/users/:id', view: 'user', meta: { title: 'Users', robots: 'noindex' },
+      children: [{
+        path: 'posts', view: 'posts', load: ({ params }) => ({ name: 'User ' + params.id }),
+        meta: { title: ({ data }) => `Posts by ${data.name}` },
+      }],
+    }];
+    const out = await renderRoute(routes, '/users/7/posts', { store: t.store });
+    if (out.meta.title !== 'Posts by User 7') throw new Error(`Unexpected title: ${out.meta.title}`);
+    t.assertPath('ui.route.meta', { title: 'Posts by User 7', robots: 'noindex' });
+  },
+
+  'ssr: locale prefix stripped before matching, unprefixed URL redirected': async () => {
+    const routes = [
+      { path: '/users/:id', view: 'user', load: ({ locale }) => locale, component: { render: ({ data }) => `<p>${data}</p>` } },
+    ];
+    const store = createEventState({});
+    const out = await renderRoute(routes, '/de/users/1', { store, locales: ['en', 'de'] });
+    if (out.status !== 200 || out.html !== '<p>de</p>') throw new Error(`Unexpected render: ${out.status} ${out.html}`);
+    if (store.get('ui.route.path') !== '/users/1') throw new Error('ui.route.path should not carry the prefix');
+    if (store.get('ui.route.locale') !== 'de') throw new Error('ui.route.locale should be de');
+    const bare = await renderRoute(routes, '/users/1?tab=a', { locales: ['en', 'de'], defaultLocale: 'de' });
+    if (bare.status !== 302 || bare.redirect !== '/de/users/1?tab=a') throw new Error(`Expected redirect to /de/users/1?tab=a, got ${bare.redirect}`);
+  },
+
+  'ssr: namespaced state hydrates a namespaced router and its devtools': async () => {
+    const server = createEventTest({});
+    let loads = 0;
+    const routes = [
+      { path: '/users/:id', view: 'user',
+        load: ({ params }) => { loads++; return { name: 'User ' + params.id }; },
+        component: { render: ({ data }) => `<h1>${data.name}</h1>`, boot() {} } },
+    ];
+    const out = await renderRoute(routes, '/users/1', { store: server.store, namespace: 'app.route' });
+    server.assertPath('app.route.data', { name: 'User 1' });
+    if (server.store.get('ui.route') !== undefined) throw new Error('Nothing should be written under ui.route');
+
+    const t = createEventTest(JSON.parse(out.state));
+    const app = createTestRouter({ routes, test: t, url: '/users/1', namespace: 'app.route' });
+    await app.start({ hydrate: true });
+    if (loads !== 1) throw new Error(`Hydration should reuse the loader data, loaded ${loads} times`);
+    t.assertPath('app.route.view', 'user');
+
+    const el = app.document.createElement('div');
+    const unboot = createDevtools(app.router, { open: true }).boot({ store: t.store, el });
+    if (!el.textContent.includes('view: user  path: /users/1')) throw new Error(`Devtools missed the route state: ${el.textContent}`);
+    if (!el.textContent.includes('#1 start')) throw new Error('Devtools should list app.route.log');
+    unboot();
+  },
+
+  'ssr: serialized state is safe inside a script tag': () => {
+    const json = serializeState({ ui: { note: '</script><script>alert(1)</script>' } });
+    if (json.includes('</script>')) throw new Error('Serialized state must not contain </script>');
+    if (JSON.parse(json).ui.note !== '</script><script>alert(1)</script>') throw new Error('Round trip should preserve the value');
+  },
+
   // -- sequential navigation -----------------------------------------
 
   'sequential nav: home → users → user': () => {
@@ -186,6 +1345,43 @@ const results = runTests({
     t.assertShape('ui.route.params', {});
     t.assertShape('ui.route.query', {});
   },
-});
 
-if (results.failed > 0) process.exit(1);
+  'types: generateTypes emits views, params, paths and store keys': () => {
+    const dts = generateTypes([
+      { path: '/', view: 'home' },
+      { path: '/users/:id', view: 'user', name: 'user', parse: { id: Number }, children: [
+        { path: 'posts/:postId?', view: 'posts' },
+      ] },
+    ], { namespace: 'app.route' });
+    const expected = [
+      "export type RouteView = 'home' | 'posts' | 'user';",
+      "export type RouteName = 'user';",
+      "export type RoutePath = '/' | `/users/${string}/posts` | `/users/${string}/posts/${string}` | `/users/${string}`;",
+      "  '/users/:id/posts/:postId?': { 'id': number; 'postId'?: string };",
+      "  'user': { 'id': number };",
+      "  'app.route.go': RouteTarget | null;",
+      'href<N extends RouteName>(name: N, ...args: ParamsArgs<N>): string;',
+    ];
+    for (const line of expected) {
+      if (!dts.includes(line)) throw new Error(`Missing from generated types: ${line}`);
+    }
+  },
+};
+
+// runTests does not await, so async tests run here one at a time, after
+// the synchronous ones; a rejection counts as a failure
+const isAsync = fn => fn.constructor.name === 'AsyncFunction';
+const results = runTests(Object.fromEntries(Object.entries(tests).filter(([, fn]) => !isAsync(fn))));
+let failed = results.failed;
+for (const [name, fn] of Object.entries(tests)) {
+  if (!isAsync(fn)) continue;
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}\n    ${error?.message ?? error}`);
+  }
+}
+
+if (failed > 0) process.exit(1);
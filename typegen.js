@@ -0,0 +1,182 @@
+// @uistate/router: TypeScript declarations for a route table
+// DOM-free: reads the same routes array as createRouter and emits a .d.ts
+// with view names, per-route params, typed navigate/href and ui.route.* keys.
+
+import { compileRoutes, patternParts } from './matcher.js';
+
+// Optional params expand into one path type per combination; past this
+// many a route's path is typed as `${string}`
+const MAX_OPTIONAL = 4;
+
+function quote(str) {
+  return "'" + str.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+}
+
+function union(types) {
+  const unique = [...new Set(types)];
+  return unique.length ? unique.join(' | ') : 'never';
+}
+
+// Type of a decoded param: a known decoder's return type, else string
+function paramType(record, name) {
+  const decode = record.parse?.[name];
+  if (decode === undefined) return 'string';
+  if (decode === Number) return 'number';
+  if (decode === Boolean) return 'boolean';
+  if (decode === String) return 'string';
+  return 'unknown';
+}
+
+// '{ id: string; tab?: string }', from compilePattern()'s paramNames
+function paramsType(record) {
+  const optional = new Set(patternParts(record.fullPath).filter(p => p.optional).map(p => p.name));
+  if (!record.paramNames.length) return 'Record<string, never>';
+  const fields = record.paramNames.map(name => `${quote(name)}${optional.has(name) ? '?' : ''}: ${paramType(record, name)}`);
+  return '{ ' + fields.join('; ') + ' }';
+}
+
+function templateLiteral(str) {
+  return str.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+}
+
+// Path types a pattern matches: '/users/:id' → `/users/${string}`
+function pathTypes(pattern) {
+  const parts = patternParts(pattern);
+  const optional = parts.filter(p => p.optional);
+  if (optional.length > MAX_OPTIONAL) return ['`/${string}`'];
+  const out = [];
+  for (let mask = 0; mask < 2 ** optional.length; mask++) {
+    let path = '';
+    let dynamic = false;
+    for (const part of parts) {
+      if (!part.name) { path += templateLiteral(part.literal); continue; }
+      const present = !part.optional || mask & (1 << optional.indexOf(part));
+      if (!present) {
+        // An omitted optional param takes the slash before it along
+        path += templateLiteral(part.literal.endsWith('/') ? part.literal.slice(0, -1) : part.literal);
+        continue;
+      }
+      path += templateLiteral(part.literal) + (part.constraint === '\\d+' ? '${number}' : '${string}');
+      dynamic = true;
+    }
+    path = path || '/';
+    out.push(dynamic ? '`' + path + '`' : quote(path.replace(/\\([\\`$])/g, '$1')));
+  }
+  return out;
+}
+
+/**
+ * Generate TypeScript declarations for a route table.
+ *
+ * The output declares RouteView, RouteName and RoutePath unions, params per
+ * path, view and name (from each pattern's param names and route.parse
+ * decoders), the ui.route.* store keys, BootArgs for views, and a
+ * TypedRouter interface with typed navigate() and href().
+ *
+ * @param {Array} routes - Same route table passed to createRouter
+ * @param {Object} [opts]
+ * @param {string} [opts.namespace='ui.route'] - Same namespace passed to createRouter
+ * @param {string} [opts.source] - Where the routes came from, for the header comment
+ * @returns {string} .d.ts source
+ */
+export function generateTypes(routes, { namespace = 'ui.route', source = null } = {}) {
+  const records = compileRoutes(routes);
+  const byPath = new Map();
+  const byView = new Map();
+  const byName = new Map();
+  const paths = [];
+  for (const record of records) {
+    const params = paramsType(record);
+    if (!byPath.has(record.fullPath)) {
+      byPath.set(record.fullPath, params);
+      paths.push(...pathTypes(record.fullPath));
+    }
+    if (record.view != null) byView.set(String(record.view), [...(byView.get(String(record.view)) || []), params]);
+    if (record.name && !record.aliasOf) byName.set(record.name, params);
+  }
+
+  const entries = (map, toType) => [...map].map(([key, value]) => `  ${quote(key)}: ${toType(value)};`).join('\n');
+  const key = name => quote(namespace + '.' + name);
+
+  return `// Generated by @uistate/router${source ? ' from ' + source : ''}. Do not edit.
+
+export type RouteView = ${union([...byView.keys()].map(quote))};
+export type RouteName = ${union([...byName.keys()].map(quote))};
+export type RoutePath = ${union(paths)};
+
+export interface RouteParamsByPath {
+${entries(byPath, type => type)}
+}
+
+export interface RouteParamsByView {
+${entries(byView, types => union(types))}
+}
+
+export interface RouteParamsByName {
+${entries(byName, type => type)}
+}
+
+export type RouteParams = RouteParamsByPath[keyof RouteParamsByPath];
+export type RouteQuery = Record<string, unknown>;
+
+type ParamsArgs<N extends RouteName> = {} extends RouteParamsByName[N]
+  ? [params?: RouteParamsByName[N], query?: RouteQuery]
+  : [params: RouteParamsByName[N], query?: RouteQuery];
+
+export type NamedTarget = {
+  [N in RouteName]: {} extends RouteParamsByName[N]
+    ? { name: N; params?: RouteParamsByName[N]; query?: RouteQuery }
+    : { name: N; params: RouteParamsByName[N]; query?: RouteQuery };
+}[RouteName];
+
+/** Values a component may write to ${namespace}.go */
+export type RouteTarget =
+  | RoutePath
+  | (NamedTarget & { replace?: boolean })
+  | { path: RoutePath; search?: string; hash?: string; replace?: boolean }
+  | { query: RouteQuery; replace?: boolean };
+
+export interface RouteStore {
+  ${key('view')}: RouteView | null;
+  ${key('path')}: string;
+  ${key('params')}: RouteParams;
+  ${key('query')}: RouteQuery;
+  ${key('transitioning')}: boolean;
+  ${key('go')}: RouteTarget | null;
+}
+
+/** What boot() receives for a view */
+export interface BootArgs<V extends RouteView = RouteView> {
+  store: any;
+  el: Element;
+  signal: AbortSignal;
+  params: RouteParamsByView[V];
+  data: unknown;
+  hydrate: boolean;
+  locale: string | null;
+}
+
+export interface NavigateOptions {
+  replace?: boolean;
+  search?: string;
+  hash?: string;
+}
+
+export interface NavigationResult {
+  status: 'completed' | 'unchanged' | 'blocked' | 'aborted' | 'not-found' | 'failed';
+  path: string;
+  search: string;
+  view?: string;
+  guard?: string;
+  error?: unknown;
+}
+
+/** createRouter()'s return value with typed navigate() and href() */
+export interface TypedRouter {
+  navigate(path: RoutePath, opts?: NavigateOptions): Promise<NavigationResult>;
+  navigate(target: NamedTarget, opts?: NavigateOptions): Promise<NavigationResult>;
+  href<N extends RouteName>(name: N, ...args: ParamsArgs<N>): string;
+  [method: string]: any;
+}
+`;
+}